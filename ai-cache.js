@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { textModelId } = require('./providers');
+const { onShutdown } = require('./shutdown');
+
+// Cached answers expire after AI_CACHE_TTL_MS (default a week); beyond AI_CACHE_MAX_ENTRIES the least recently used go first
+const CACHE_TTL_MS = parseInt(process.env.AI_CACHE_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 5000;
+
+// New answers are written back to the store at most this often, and on shutdown
+const CACHE_FLUSH_INTERVAL_MS = parseInt(process.env.AI_CACHE_FLUSH_MS, 10) || 30000;
+
+// Entries in least recently used order, loaded from the store on first use
+let entries = null;
+let dirty = false;
+
+// Requests for an answer already being generated wait for it rather than calling the model again
+const pending = new Map();
+
+const startedAt = new Date().toISOString();
+const counters = { hits: 0, misses: 0, coalesced: 0, expired: 0, evicted: 0, failures: 0 };
+const countersByKind = {};
+
+function countEvent(kind, event) {
+  counters[event]++;
+  if (!countersByKind[kind]) countersByKind[kind] = { hits: 0, misses: 0, coalesced: 0, failures: 0 };
+  if (event in countersByKind[kind]) countersByKind[kind][event]++;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return Date.parse(entry.expiresAt) <= now;
+}
+
+function loadEntries() {
+  if (!entries) {
+    entries = new Map();
+    getStore().listCachedResponses()
+      .filter(entry => !isExpired(entry))
+      .slice(-MAX_CACHE_ENTRIES)
+      .forEach(({ key, ...entry }) => entries.set(key, entry));
+    setInterval(flushCache, CACHE_FLUSH_INTERVAL_MS).unref();
+    onShutdown(flushCache);
+  }
+  return entries;
+}
+
+function flushCache() {
+  if (!entries || !dirty) return;
+  dirty = false;
+
+  try {
+    getStore().replaceCachedResponses([...entries].map(([key, entry]) => ({ key, ...entry })));
+  } catch (error) {
+    dirty = true;
+    console.error('Error saving the AI response cache:', error);
+  }
+}
+
+// The key covers every input of the prompt plus the text model, so a different model never serves another's answer
+function cacheKey(kind, inputs) {
+  const material = JSON.stringify([kind, textModelId(), ...Object.keys(inputs).sort().map(name => [name, inputs[name]])]);
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+// Only inserts and evictions mark the cache for a rewrite; the recency and hit counts of reads are saved with the next one
+function storeEntry(key, entry, { touch = false } = {}) {
+  const cache = loadEntries();
+  cache.delete(key);
+  cache.set(key, entry);
+  if (touch) return;
+
+  // Map order is insertion order, and hits are re-inserted, so the first keys are the least recently used
+  while (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+    counters.evicted++;
+  }
+  dirty = true;
+}
+
+// The cached answer for kind and inputs, or generate() it and cache the result. A failed generation is not cached;
+// callers handle the error as they would without the cache
+async function cachedGenerate(kind, inputs, generate) {
+  const cache = loadEntries();
+  const key = cacheKey(kind, inputs);
+  const entry = cache.get(key);
+
+  if (entry && !isExpired(entry)) {
+    countEvent(kind, 'hits');
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    storeEntry(key, entry, { touch: true });
+    return entry.value;
+  }
+  if (entry) {
+    cache.delete(key);
+    counters.expired++;
+    dirty = true;
+  }
+
+  if (pending.has(key)) {
+    countEvent(kind, 'coalesced');
+    return pending.get(key);
+  }
+
+  countEvent(kind, 'misses');
+  const generation = (async () => {
+    try {
+      const value = await generate();
+      const now = new Date();
+      storeEntry(key, {
+        kind,
+        inputs,
+        value,
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + CACHE_TTL_MS).toISOString(),
+        hits: 0
+      });
+      return value;
+    } catch (error) {
+      countEvent(kind, 'failures');
+      throw error;
+    } finally {
+      pending.delete(key);
+    }
+  })();
+
+  pending.set(key, generation);
+  return generation;
+}
+
+function cacheStats() {
+  const cache = loadEntries();
+  const entriesByKind = {};
+  cache.forEach(entry => { entriesByKind[entry.kind] = (entriesByKind[entry.kind] || 0) + 1; });
+  const lookups = counters.hits + counters.misses + counters.coalesced;
+
+  return {
+    size: cache.size,
+    maxEntries: MAX_CACHE_ENTRIES,
+    ttlSeconds: Math.round(CACHE_TTL_MS / 1000),
+    pending: pending.size,
+    since: startedAt,
+    ...counters,
+    hitRate: lookups > 0 ? Math.round(((counters.hits + counters.coalesced) / lookups) * 1000) / 1000 : null,
+    byKind: Object.fromEntries(Object.keys({ ...entriesByKind, ...countersByKind }).map(kind => [
+      kind,
+      { entries: entriesByKind[kind] || 0, ...(countersByKind[kind] || { hits: 0, misses: 0, coalesced: 0, failures: 0 }) }
+    ]))
+  };
+}
+
+// Drop every cached answer, or only those of one kind; returns how many were removed
+function clearCache(kind) {
+  const cache = loadEntries();
+  let removed = 0;
+  [...cache].forEach(([key, entry]) => {
+    if (!kind || entry.kind === kind) {
+      cache.delete(key);
+      removed++;
+    }
+  });
+
+  dirty = true;
+  flushCache();
+  return removed;
+}
+
+module.exports = {
+  cachedGenerate,
+  cacheStats,
+  clearCache,
+  flushCache
+};
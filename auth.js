@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { runWithRequestContext } = require('./request-context');
+const { onShutdown } = require('./shutdown');
+
+// Roles in increasing order of access; each role can call everything the roles before it can
+const ROLES = ['read', 'admin'];
+
+// Set API_AUTH=disabled to run without keys during local development
+const AUTH_DISABLED = (process.env.API_AUTH || '').toLowerCase() === 'disabled';
+
+// Usage counters are written back to the store at most this often, and on shutdown
+const USAGE_FLUSH_INTERVAL_MS = parseInt(process.env.API_USAGE_FLUSH_MS, 10) || 30000;
+
+const MINUTE_MS = 60 * 1000;
+
+// Compare secrets in constant time so response timing doesn't leak the token
+function tokensMatch(provided, expected) {
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(String(expected));
+
+  return providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+// Keys are stored as hashes; the plain key is only returned when it is created
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function emptyUsage() {
+  return {
+    requests: 0,
+    day: null,
+    requestsToday: 0,
+    lastUsedAt: null,
+    modelCalls: { totals: {}, byPurpose: {} }
+  };
+}
+
+// Stored keys, loaded once and kept in memory with their usage; keys changed since the last flush are written back
+let apiKeys = null;
+const dirtyKeyIds = new Set();
+const recentRequests = new Map();
+
+function loadApiKeys() {
+  if (!apiKeys) {
+    apiKeys = new Map(getStore().listApiKeys().map(apiKey => [apiKey.id, { usage: emptyUsage(), ...apiKey }]));
+    setInterval(flushUsage, USAGE_FLUSH_INTERVAL_MS).unref();
+    onShutdown(flushUsage);
+  }
+  return apiKeys;
+}
+
+function flushUsage() {
+  if (!apiKeys) return;
+
+  dirtyKeyIds.forEach(id => {
+    const apiKey = apiKeys.get(id);
+    // The ADMIN_TOKEN key is not stored; its usage lasts until restart
+    if (apiKey && !apiKey.builtIn) getStore().saveApiKey(apiKey);
+  });
+  dirtyKeyIds.clear();
+}
+
+// ADMIN_TOKEN still works as a built-in admin key so existing deployments can create the first keys
+function adminTokenKey() {
+  if (!apiKeys.has('admin-token')) {
+    apiKeys.set('admin-token', {
+      id: 'admin-token',
+      name: 'ADMIN_TOKEN',
+      role: 'admin',
+      requestsPerMinute: null,
+      requestsPerDay: null,
+      createdAt: null,
+      builtIn: true,
+      usage: emptyUsage()
+    });
+  }
+  return apiKeys.get('admin-token');
+}
+
+// Key fields safe to return from the API
+function describeApiKey(apiKey) {
+  const { keyHash, ...visible } = apiKey;
+  return visible;
+}
+
+function listApiKeys() {
+  return [...loadApiKeys().values()];
+}
+
+function getApiKey(id) {
+  return loadApiKeys().get(id) || null;
+}
+
+function parseQuota(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const quota = Number(value);
+  if (!Number.isInteger(quota) || quota <= 0) {
+    throw new Error(`${field} must be a positive integer`);
+  }
+  return quota;
+}
+
+// Create a key; throws with a message suitable for a 400 response. Returns the record and the plain key
+function createApiKey({ name, role = 'read', requestsPerMinute, requestsPerDay }) {
+  if (!name) {
+    throw new Error('Missing required field: name');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}. Supported roles: ${ROLES.join(', ')}`);
+  }
+
+  const key = `ck_${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = {
+    id: crypto.randomUUID(),
+    name,
+    role,
+    keyPrefix: key.substring(0, 7),
+    keyHash: hashKey(key),
+    requestsPerMinute: parseQuota(requestsPerMinute, 'requestsPerMinute'),
+    requestsPerDay: parseQuota(requestsPerDay, 'requestsPerDay'),
+    createdAt: new Date().toISOString(),
+    usage: emptyUsage()
+  };
+
+  loadApiKeys().set(apiKey.id, apiKey);
+  getStore().saveApiKey(apiKey);
+  return { apiKey, key };
+}
+
+function revokeApiKey(id) {
+  const keys = loadApiKeys();
+  if (!keys.has(id) || keys.get(id).builtIn) {
+    return false;
+  }
+
+  keys.delete(id);
+  recentRequests.delete(id);
+  dirtyKeyIds.delete(id);
+  return getStore().deleteApiKey(id);
+}
+
+function findKeyByToken(token) {
+  const keys = loadApiKeys();
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken && tokensMatch(token, adminToken)) {
+    return adminTokenKey();
+  }
+
+  const tokenHash = hashKey(token);
+  return [...keys.values()].find(apiKey => apiKey.keyHash && tokensMatch(tokenHash, apiKey.keyHash)) || null;
+}
+
+// The quota a request would exceed and the seconds until it fits, or null if it fits now
+function quotaRetryAfter(apiKey, now) {
+  const today = new Date(now).toISOString().substring(0, 10);
+  if (apiKey.requestsPerDay && apiKey.usage.day === today && apiKey.usage.requestsToday >= apiKey.requestsPerDay) {
+    const midnight = Date.parse(`${today}T00:00:00.000Z`) + 24 * 60 * MINUTE_MS;
+    return { retryAfter: Math.ceil((midnight - now) / 1000), quota: `${apiKey.requestsPerDay} requests per day` };
+  }
+
+  if (apiKey.requestsPerMinute) {
+    const window = (recentRequests.get(apiKey.id) || []).filter(time => time > now - MINUTE_MS);
+    recentRequests.set(apiKey.id, window);
+    if (window.length >= apiKey.requestsPerMinute) {
+      return { retryAfter: Math.ceil((window[0] + MINUTE_MS - now) / 1000), quota: `${apiKey.requestsPerMinute} requests per minute` };
+    }
+  }
+
+  return null;
+}
+
+function countRequest(apiKey, now) {
+  const today = new Date(now).toISOString().substring(0, 10);
+  const { usage } = apiKey;
+  if (usage.day !== today) {
+    usage.day = today;
+    usage.requestsToday = 0;
+  }
+  usage.requests++;
+  usage.requestsToday++;
+  usage.lastUsedAt = new Date(now).toISOString();
+
+  if (apiKey.requestsPerMinute) {
+    recentRequests.get(apiKey.id).push(now);
+  }
+  dirtyKeyIds.add(apiKey.id);
+}
+
+// Middleware for every /api route: resolve the x-api-key or Bearer key, enforce its quotas,
+// and run the request in a context that records the model calls it triggers
+function authenticate(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.apiKey = null;
+    return next();
+  }
+
+  const authorization = req.get('authorization') || '';
+  const providedToken = req.get('x-api-key') || req.get('x-admin-token') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null);
+
+  if (!providedToken) {
+    return res.status(401).json({
+      status: false,
+      error: "Missing API key. Send it in the x-api-key header or as a Bearer token."
+    });
+  }
+
+  const apiKey = findKeyByToken(providedToken);
+  if (!apiKey) {
+    return res.status(401).json({
+      status: false,
+      error: "Invalid API key"
+    });
+  }
+
+  const now = Date.now();
+  const exceeded = quotaRetryAfter(apiKey, now);
+  if (exceeded) {
+    res.set('Retry-After', String(exceeded.retryAfter));
+    return res.status(429).json({
+      status: false,
+      error: `Quota of ${exceeded.quota} exceeded for API key ${apiKey.name}`,
+      retryAfterSeconds: exceeded.retryAfter
+    });
+  }
+
+  countRequest(apiKey, now);
+  req.apiKey = apiKey;
+  runWithRequestContext({ apiKeyId: apiKey.id, usage: apiKey.usage, onUsageChange: () => dirtyKeyIds.add(apiKey.id) }, next);
+}
+
+// Middleware factory for routes that need at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (AUTH_DISABLED) return next();
+
+    if (!req.apiKey || ROLES.indexOf(req.apiKey.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({
+        status: false,
+        error: `This endpoint requires the ${role} role`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  AUTH_DISABLED,
+  describeApiKey,
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  revokeApiKey,
+  authenticate,
+  requireRole
+};
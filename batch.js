@@ -0,0 +1,243 @@
+const { findHSCodeByItemName, checkHSCodeCompliance, evaluateCodeConditions, generateUnknownCodeReason } = require('./compliance');
+const { evaluateOriginMeasures, originBlockReason } = require('./origin-rules');
+
+// Largest manifest accepted in one request
+const MAX_BATCH_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 5000;
+
+// Concurrent Gemini calls when explaining unknown codes, and how many codes get explained per manifest
+const BATCH_AI_CONCURRENCY = parseInt(process.env.BATCH_AI_CONCURRENCY, 10) || 2;
+const BATCH_MAX_EXPLANATIONS = parseInt(process.env.BATCH_MAX_EXPLANATIONS, 10) || 20;
+
+// Manifest columns we understand, keyed by their header with case and punctuation removed
+const CSV_COLUMNS = {
+  hscode: 'hsCode',
+  htscode: 'hsCode',
+  itemname: 'itemName',
+  itemweight: 'itemWeight',
+  material: 'material',
+  itemmanufacturer: 'itemManufacturer',
+  manufacturer: 'itemManufacturer',
+  countryoforigin: 'countryOfOrigin',
+  port: 'port',
+  unitprice: 'unitPrice',
+  documents: 'documents',
+  reference: 'reference'
+};
+
+// Split CSV text into rows of fields, honouring quoted fields with embedded commas, quotes and newlines
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim().length > 0));
+}
+
+// Turn a manifest CSV with a header row into line items
+function parseManifestCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    throw new Error('The manifest CSV is empty');
+  }
+
+  const columns = header.map(name => CSV_COLUMNS[name.toLowerCase().replace(/[^a-z]/g, '')] || null);
+
+  if (!columns.includes('hsCode') && !columns.includes('itemName')) {
+    throw new Error('The manifest CSV needs an hsCode or itemName column');
+  }
+
+  return rows.map(fields => {
+    const item = {};
+    columns.forEach((column, index) => {
+      const value = (fields[index] || '').trim();
+      if (column && value) {
+        item[column] = value;
+      }
+    });
+    return item;
+  });
+}
+
+// Run fn over items with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
+
+// Check every line of a manifest, sharing lookups between lines with the same code
+async function checkManifest(items, jurisdiction, embeddingsDatabase, options = {}) {
+  const complianceByCode = new Map();
+
+  const lines = await Promise.all(items.map(async (item, index) => {
+    // A malformed entry fails its own line, not the whole manifest
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return {
+        line: index + 1,
+        reference: null,
+        queriedHsCode: null,
+        queriedItemName: null,
+        status: 'invalid',
+        allowed: false,
+        reason: `Line ${index + 1} must be an object with hsCode or itemName, got ${item === null ? 'null' : Array.isArray(item) ? 'an array' : typeof item}`
+      };
+    }
+
+    const line = {
+      line: index + 1,
+      reference: item.reference || null,
+      queriedHsCode: item.hsCode ? String(item.hsCode).trim() : null,
+      queriedItemName: item.itemName || null
+    };
+
+    let codeToCheck = line.queriedHsCode;
+
+    if (!codeToCheck && item.itemName) {
+      codeToCheck = findHSCodeByItemName(String(item.itemName), embeddingsDatabase.itemToHsMap);
+    }
+
+    if (!codeToCheck) {
+      return {
+        ...line,
+        status: 'unresolved',
+        allowed: false,
+        reason: item.itemName
+          ? `Could not find an ${jurisdiction.codeLabel} code matching item name: ${item.itemName}`
+          : 'Missing hsCode or itemName'
+      };
+    }
+
+    if (!complianceByCode.has(codeToCheck)) {
+      complianceByCode.set(codeToCheck, checkHSCodeCompliance(codeToCheck, embeddingsDatabase, jurisdiction, { generateReason: false }));
+    }
+    const compliance = await complianceByCode.get(codeToCheck);
+
+    if (!compliance.exists) {
+      return { ...line, hsCode: codeToCheck, status: 'unknown', allowed: false, reason: compliance.reason };
+    }
+
+    // Conditions depend on each line's weight, port and documents, so they are evaluated per line
+    const conditionCheck = evaluateCodeConditions(compliance, item);
+    const checkedLine = {
+      ...line,
+      hsCode: codeToCheck,
+      status: conditionCheck.allowed ? 'allowed' : 'blocked',
+      allowed: conditionCheck.allowed,
+      policy: compliance.policy,
+      description: compliance.description,
+      inferredFrom: compliance.inferredFrom || null,
+      policyConditions: conditionCheck.conditions,
+      conditionSummary: conditionCheck.summary
+    };
+
+    if (compliance.allowed && !conditionCheck.allowed) {
+      checkedLine.reason = `Policy conditions not met: ${conditionCheck.unmetConditions.map(condition => condition.detail).join('; ')}`;
+    }
+
+    // Origin measures also depend on the line, through its country, manufacturer and documents
+    if (jurisdiction.checkCountryOfOrigin && item.countryOfOrigin) {
+      checkedLine.originMeasures = evaluateOriginMeasures(codeToCheck, item.countryOfOrigin, jurisdiction, {
+        date: options.date,
+        manufacturer: item.itemManufacturer,
+        documents: item.documents
+      });
+      if (checkedLine.allowed && checkedLine.originMeasures && checkedLine.originMeasures.blocked) {
+        checkedLine.status = 'blocked';
+        checkedLine.allowed = false;
+        checkedLine.reason = originBlockReason(checkedLine.originMeasures, jurisdiction.codeLabel, codeToCheck);
+      }
+    }
+
+    return checkedLine;
+  }));
+
+  // Explain each distinct unknown code once, a few at a time, instead of once per line
+  const unknownCodes = [...new Set(lines.filter(line => line.status === 'unknown').map(line => line.hsCode))];
+
+  if (options.explainUnknown && unknownCodes.length > 0) {
+    const codesToExplain = unknownCodes.slice(0, BATCH_MAX_EXPLANATIONS);
+    const reasons = await mapWithConcurrency(codesToExplain, BATCH_AI_CONCURRENCY, code =>
+      generateUnknownCodeReason(code, jurisdiction)
+    );
+    const reasonByCode = new Map(codesToExplain.map((code, index) => [code, reasons[index]]));
+
+    lines.forEach(line => {
+      if (line.status === 'unknown' && reasonByCode.has(line.hsCode)) {
+        line.reason = reasonByCode.get(line.hsCode);
+      }
+    });
+  }
+
+  const count = status => lines.filter(line => line.status === status).length;
+  const summary = {
+    totalLines: lines.length,
+    allowed: count('allowed'),
+    blocked: count('blocked'),
+    unknownCodes: count('unknown'),
+    unresolvedItems: count('unresolved'),
+    invalidItems: count('invalid'),
+    distinctUnknownCodes: unknownCodes.length
+  };
+  summary.allClear = summary.allowed === summary.totalLines;
+  summary.verdict = summary.allClear
+    ? 'all clear'
+    : [
+      summary.blocked > 0 ? `${summary.blocked} blocked` : null,
+      summary.unknownCodes > 0 ? `${summary.unknownCodes} unknown codes` : null,
+      summary.unresolvedItems > 0 ? `${summary.unresolvedItems} unresolved items` : null,
+      summary.invalidItems > 0 ? `${summary.invalidItems} invalid items` : null
+    ].filter(Boolean).join(' / ');
+
+  return { summary, lines };
+}
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  parseManifestCsv,
+  mapWithConcurrency,
+  checkManifest
+};
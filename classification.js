@@ -0,0 +1,130 @@
+const { generateText, embedText } = require('./providers');
+const { cosineSimilarity } = require('./embeddings');
+const { rankHSCodeCandidates } = require('./matching');
+
+// Softmax temperature for turning cosine similarities into confidences; embedding cosines sit in a narrow band
+const CONFIDENCE_TEMPERATURE = 0.02;
+
+// Build the text we embed from the product fields the compliance routes already accept
+function composeProductText({ description, material, itemManufacturer, itemWeight }) {
+  const parts = [description.trim()];
+
+  if (material) parts.push(`Material: ${material}`);
+  if (itemManufacturer) parts.push(`Manufacturer: ${itemManufacturer}`);
+  if (itemWeight) parts.push(`Weight: ${itemWeight} kg`);
+
+  return parts.join('. ');
+}
+
+function softmax(values, temperature) {
+  const max = Math.max(...values);
+  const exps = values.map(value => Math.exp((value - max) / temperature));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return exps.map(value => value / sum);
+}
+
+// Rank codes by similarity between the product text and each code description's embedding
+function rankByDescriptionEmbedding(productEmbedding, embeddingsDatabase, topK) {
+  const hsCodesData = embeddingsDatabase.hsCodesData || {};
+  const descriptionEmbeddings = embeddingsDatabase.descriptionEmbeddings || {};
+  const similarityByDescription = new Map();
+
+  Object.entries(descriptionEmbeddings).forEach(([description, embedding]) => {
+    similarityByDescription.set(description, cosineSimilarity(productEmbedding, embedding));
+  });
+
+  return Object.entries(hsCodesData)
+    .filter(([, hsData]) => similarityByDescription.has(hsData.description.toLowerCase()))
+    .map(([hsCode, hsData]) => ({
+      hsCode,
+      description: hsData.description,
+      policy: hsData.policy,
+      similarity: similarityByDescription.get(hsData.description.toLowerCase())
+    }))
+    .sort((a, b) => b.similarity - a.similarity || a.hsCode.localeCompare(b.hsCode))
+    .slice(0, topK);
+}
+
+// Ask Gemini to pick one of the candidates; returns null if it declines or answers off-list
+async function chooseCandidateWithAI(productText, candidates, jurisdiction) {
+  const candidateList = candidates
+    .map(candidate => `- ${candidate.hsCode}: ${candidate.description}`)
+    .join('\n');
+
+  const prompt = `You are classifying a product under the ${jurisdiction.name} tariff schedule.
+Product: ${productText}
+
+Choose the single best ${jurisdiction.codeLabel} code from these candidates only:
+${candidateList}
+
+Respond with JSON only, in the form {"hsCode": "<code from the list>", "justification": "<one or two sentences>"}.`;
+
+  try {
+    // Offline, keep the most similar candidate
+    const responseText = await generateText(prompt, 200, {
+      purpose: 'classification',
+      offlineText: JSON.stringify({ hsCode: candidates[0].hsCode, justification: 'Most similar candidate; no language model is configured to compare them.' })
+    });
+    const startIdx = responseText.indexOf('{');
+    const endIdx = responseText.lastIndexOf('}') + 1;
+
+    if (startIdx === -1 || endIdx <= startIdx) return null;
+
+    const choice = JSON.parse(responseText.substring(startIdx, endIdx));
+    const hsCode = String(choice.hsCode || '').replace(/\D/g, '');
+
+    if (!candidates.some(candidate => candidate.hsCode === hsCode)) return null;
+
+    return { hsCode, justification: choice.justification || null };
+  } catch (error) {
+    console.error('Error choosing HS code with AI:', error);
+    return null;
+  }
+}
+
+// Classify a free-text product description into ranked HS code candidates with confidences
+async function classifyProduct(product, embeddingsDatabase, jurisdiction, options = {}) {
+  const { topK = 5, useAI = false } = options;
+  const productText = composeProductText(product);
+  let method = 'embedding';
+  let candidates;
+
+  if (embeddingsDatabase.descriptionEmbeddings && Object.keys(embeddingsDatabase.descriptionEmbeddings).length > 0) {
+    const productEmbedding = await embedText(productText, { purpose: 'classification' });
+    candidates = rankByDescriptionEmbedding(productEmbedding, embeddingsDatabase, topK);
+    const confidences = softmax(candidates.map(candidate => candidate.similarity), CONFIDENCE_TEMPERATURE);
+    candidates.forEach((candidate, index) => {
+      candidate.confidence = Math.round(confidences[index] * 10000) / 10000;
+    });
+  } else {
+    // Without description embeddings, fall back to the text matcher's scores
+    method = 'lexical';
+    candidates = rankHSCodeCandidates(productText, embeddingsDatabase, { limit: topK }).map(candidate => ({
+      hsCode: candidate.hsCode,
+      description: candidate.description,
+      policy: candidate.policy,
+      similarity: null,
+      confidence: candidate.score
+    }));
+  }
+
+  let aiChoice = null;
+  if (useAI && candidates.length > 1) {
+    aiChoice = await chooseCandidateWithAI(productText, candidates, jurisdiction);
+
+    if (aiChoice) {
+      candidates.forEach(candidate => {
+        candidate.selectedByAI = candidate.hsCode === aiChoice.hsCode;
+      });
+      // Move the AI's pick to the front, keeping the rest in similarity order
+      candidates.sort((a, b) => Number(b.selectedByAI) - Number(a.selectedByAI));
+    }
+  }
+
+  return { productText, method, candidates, aiChoice };
+}
+
+module.exports = {
+  composeProductText,
+  classifyProduct
+};
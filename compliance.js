@@ -0,0 +1,135 @@
+const { generateText } = require('./providers');
+const { cachedGenerate } = require('./ai-cache');
+const { latestVersionId } = require('./versions');
+const { rankHSCodeCandidates } = require('./matching');
+const { inferFromAncestors } = require('./hierarchy');
+const { parsePolicyConditions, evaluateConditions } = require('./conditions');
+
+// Minimum lexical score for an item name to resolve to a code without the caller choosing
+const MIN_ITEM_MATCH_SCORE = 0.5;
+
+// Function to find the best-ranked HS code for an item name
+function findHSCodeByItemName(itemName, itemToHsMap) {
+  const normalizedItemName = itemName.toLowerCase().trim();
+
+  // Direct match
+  if (itemToHsMap[normalizedItemName]) {
+    return itemToHsMap[normalizedItemName];
+  }
+
+  const [bestCandidate] = rankHSCodeCandidates(itemName, { itemToHsMap }, { limit: 1, minScore: MIN_ITEM_MATCH_SCORE });
+  return bestCandidate ? bestCandidate.hsCode : null;
+}
+
+// Check an HS code against a jurisdiction's database using its "allowed" rule
+async function checkHSCodeCompliance(hsCode, embeddingsDatabase, jurisdiction, options = {}) {
+  if (embeddingsDatabase.hsCodesData && embeddingsDatabase.hsCodesData[hsCode]) {
+    const hsData = embeddingsDatabase.hsCodesData[hsCode];
+    return {
+      exists: true,
+      allowed: jurisdiction.isAllowed(hsData.policy),
+      policy: hsData.policy,
+      description: hsData.description,
+      policyCondition: hsData.policyCondition || null,
+      // Databases built before conditions were structured only carry the text, if anything
+      conditions: hsData.conditions || parsePolicyConditions(hsData.policyCondition)
+    };
+  }
+
+  // Infer from the deepest listed subheading or heading, reporting the basis (or an indeterminate verdict from the chapter)
+  const inference = inferFromAncestors(hsCode, embeddingsDatabase.hsCodesData || {}, jurisdiction);
+  if (inference) {
+    return {
+      exists: true,
+      inferred: true,
+      ...inference
+    };
+  }
+
+  // Batch callers skip the per-code Gemini call and explain unknown codes separately
+  if (options.generateReason === false) {
+    return {
+      exists: false,
+      allowed: false,
+      reason: unknownCodeReason(hsCode, jurisdiction)
+    };
+  }
+
+  return {
+    exists: false,
+    allowed: false,
+    reason: await generateUnknownCodeReason(hsCode, jurisdiction)
+  };
+}
+
+// Evaluate a code's policy conditions against the shipment fields; an allowed policy with an unmet condition no longer clears
+function evaluateCodeConditions(compliance, fields) {
+  const { conditions, summary } = evaluateConditions(compliance.conditions, fields);
+  const unmetConditions = conditions.filter(condition => condition.status === 'unmet');
+
+  return {
+    allowed: compliance.allowed && unmetConditions.length === 0,
+    conditions,
+    summary,
+    unmetConditions
+  };
+}
+
+// Cached answers are tied to the dataset version, so a rebuilt schedule gets fresh explanations
+function datasetVersion(jurisdiction) {
+  return latestVersionId(jurisdiction);
+}
+
+function unknownCodeReason(hsCode, jurisdiction) {
+  return `The ${jurisdiction.codeLabel} Code ${hsCode} was not found in the ${jurisdiction.regulationName}. Please verify the code and try again.`;
+}
+
+// Use Gemini to explain why a code is missing, falling back to a fixed message; answers are cached per code and dataset version
+async function generateUnknownCodeReason(hsCode, jurisdiction) {
+  try {
+    const restrictionHint = jurisdiction.direction === 'import'
+      ? ` or why the item might have ${jurisdiction.direction} restrictions`
+      : '';
+    const prompt = `Given ${jurisdiction.codeLabel} code ${hsCode} that wasn't found in our ${jurisdiction.regulationName} database, provide a reason why this code might not be recognized${restrictionHint}. Limit your response to one short paragraph.`;
+
+    return await cachedGenerate(
+      'unknown-code-reason',
+      { jurisdiction: jurisdiction.id, hsCode, datasetVersion: datasetVersion(jurisdiction) },
+      () => generateText(prompt, 100, { offlineText: unknownCodeReason(hsCode, jurisdiction), purpose: 'unknown-code-reason' })
+    );
+  } catch (error) {
+    console.error('Error generating dynamic reason:', error);
+    return unknownCodeReason(hsCode, jurisdiction);
+  }
+}
+
+// Ask Gemini about origin-specific restrictions for an allowed import; answers are cached per code, description, origin and dataset version
+async function checkCountryRestriction(hsCode, description, countryOfOrigin, jurisdiction) {
+  try {
+    const prompt = `For ${jurisdiction.codeLabel} code ${hsCode} (${description}), are there any specific ${jurisdiction.direction} restrictions or tariffs when importing from ${countryOfOrigin} to ${jurisdiction.countryName}? Respond with a brief explanation.`;
+
+    const inputs = {
+      jurisdiction: jurisdiction.id,
+      hsCode,
+      description,
+      countryOfOrigin: String(countryOfOrigin).trim().toLowerCase(),
+      datasetVersion: datasetVersion(jurisdiction)
+    };
+
+    return await cachedGenerate('country-restriction', inputs, () => generateText(prompt, 150, {
+      purpose: 'country-restriction',
+      offlineText: `Origin-specific ${jurisdiction.direction} restrictions for goods from ${countryOfOrigin} were not checked because no language model is configured.`
+    }));
+  } catch (error) {
+    console.error('Error checking country restrictions:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  findHSCodeByItemName,
+  checkHSCodeCompliance,
+  evaluateCodeConditions,
+  generateUnknownCodeReason,
+  checkCountryRestriction
+};
@@ -0,0 +1,221 @@
+// Policy conditions are free text in the schedules; these patterns turn the common ones into typed checks.
+// itemWeight is taken to be in kilograms throughout.
+
+const WEIGHT_UNITS_IN_KG = {
+  mt: 1000,
+  tonne: 1000,
+  tonnes: 1000,
+  ton: 1000,
+  tons: 1000,
+  kg: 1,
+  kgs: 1,
+  kilogram: 1,
+  kilograms: 1,
+  g: 0.001,
+  gm: 0.001,
+  gms: 0.001,
+  gram: 0.001,
+  grams: 0.001
+};
+
+// Document-type conditions, satisfied when the caller lists the document type in `documents`
+const DOCUMENT_CONDITIONS = [
+  {
+    type: 'licence',
+    pattern: /\b(?:licen[cs]e|authori[sz]ation|permit)\b/i,
+    document: 'Export/import licence or authorisation'
+  },
+  {
+    type: 'ste',
+    pattern: /\b(?:STEs?|State Trading Enterprises?)\b/,
+    document: 'Shipment channelled through the designated State Trading Enterprise'
+  },
+  {
+    type: 'registration',
+    pattern: /\b(?:RCMC|registration|registered with|APEDA|Export Promotion Council)\b/i,
+    document: 'Registration-cum-Membership Certificate or equivalent registration'
+  },
+  {
+    type: 'certificate',
+    pattern: /\b(?:certificate|NOC|no objection)\b/i,
+    document: 'Certificate or no-objection required by the condition'
+  }
+];
+
+function parseNumber(text) {
+  return parseFloat(String(text).replace(/,/g, ''));
+}
+
+function splitList(text) {
+  return text
+    .split(/,|\/|;|\band\b|\bor\b/i)
+    .map(item => item.trim().replace(/\.$/, ''))
+    .filter(item => item.length > 1);
+}
+
+// Structure a policy-condition text into typed conditions
+function parsePolicyConditions(text) {
+  if (!text || !text.trim()) return [];
+
+  const normalizedText = text.replace(/\s+/g, ' ').trim();
+  const conditions = [];
+
+  const quantityMatch = normalizedText.match(/(?:quantity|ceiling|quota|up\s?to|not exceeding|maximum(?: of)?|limit(?: of)?)\s*(?:of\s*)?([\d,]+(?:\.\d+)?)\s*(MT|tonnes?|tons?|kgs?|kilograms?|gms?|grams?|g)\b/i);
+  if (quantityMatch) {
+    const unit = quantityMatch[2].toLowerCase();
+    conditions.push({
+      type: 'quantity_cap',
+      text: quantityMatch[0],
+      limitKg: parseNumber(quantityMatch[1]) * WEIGHT_UNITS_IN_KG[unit],
+      basis: 'per shipment'
+    });
+  }
+
+  const portMatch = normalizedText.match(/(?:through|via|from)\s+(?:the\s+)?(?:following\s+|designated\s+|notified\s+)?(?:sea\s*)?(?:ports?|customs stations?|LCS|ICDs?)\s*(?:of|at|:|-)?\s*([A-Z][A-Za-z ,\/&-]+?)(?:\.|$|\bonly\b|\bsubject\b)/);
+  if (portMatch) {
+    conditions.push({
+      type: 'port',
+      text: portMatch[0].trim(),
+      ports: splitList(portMatch[1])
+    });
+  } else if (/\b(?:notified|designated|specified)\s+(?:sea\s*)?(?:ports?|customs stations?|LCS|ICDs?)\b/i.test(normalizedText)) {
+    conditions.push({ type: 'port', text: normalizedText, ports: [] });
+  }
+
+  const mepMatch = normalizedText.match(/\b(?:MEP|minimum export price)\b[^\d]{0,30}?([\d,]+(?:\.\d+)?)/i);
+  if (mepMatch) {
+    conditions.push({
+      type: 'minimum_price',
+      text: mepMatch[0],
+      minimumUnitPrice: parseNumber(mepMatch[1])
+    });
+  }
+
+  const onlyMaterialMatch = normalizedText.match(/\b(?:only|exclusively)\s+(?:if\s+|when\s+)?(?:made\s+(?:of|from)|of)\s+([a-z][a-z ,\/-]+?)(?:\.|$|\bis\b|\bare\b)/i);
+  if (onlyMaterialMatch) {
+    conditions.push({ type: 'material', text: onlyMaterialMatch[0], allowedMaterials: splitList(onlyMaterialMatch[1]) });
+  }
+
+  const excludedMaterialMatch = normalizedText.match(/\b(?:except|excluding|other than)\s+(?:those\s+)?(?:made\s+(?:of|from)|of)\s+([a-z][a-z ,\/-]+?)(?:\.|$|\bis\b|\bare\b)/i);
+  if (excludedMaterialMatch) {
+    conditions.push({ type: 'material', text: excludedMaterialMatch[0], excludedMaterials: splitList(excludedMaterialMatch[1]) });
+  }
+
+  DOCUMENT_CONDITIONS.forEach(({ type, pattern, document }) => {
+    const match = normalizedText.match(pattern);
+    if (match) {
+      conditions.push({ type, text: match[0], document });
+    }
+  });
+
+  const notificationMatch = normalizedText.match(/\bNotification\s+No\.?\s*[\w\/().-]+/i);
+  if (notificationMatch) {
+    conditions.push({ type: 'reference', text: notificationMatch[0] });
+  }
+
+  // Keep the text reviewable even when none of the patterns recognised it
+  if (conditions.length === 0) {
+    conditions.push({ type: 'other', text: normalizedText });
+  }
+
+  return conditions;
+}
+
+// Declared documents arrive as an array from JSON bodies or as a "licence; ste" string from manifests
+function declaredDocuments(documents) {
+  const list = Array.isArray(documents) ? documents : String(documents || '').split(/[;,]/);
+  return list.map(document => String(document).trim().toLowerCase()).filter(Boolean);
+}
+
+function evaluateCondition(condition, fields) {
+  const documents = declaredDocuments(fields.documents);
+
+  switch (condition.type) {
+    case 'quantity_cap': {
+      const weight = parseFloat(fields.itemWeight);
+      if (Number.isNaN(weight)) {
+        return { status: 'information_required', detail: 'Provide itemWeight (kg) to check the quantity cap' };
+      }
+      return weight <= condition.limitKg
+        ? { status: 'met', detail: `${weight} kg is within the ${condition.limitKg} kg cap` }
+        : { status: 'unmet', detail: `${weight} kg exceeds the ${condition.limitKg} kg cap` };
+    }
+
+    case 'port': {
+      if (!fields.port) {
+        return { status: 'information_required', detail: 'Provide port to check the notified ports' };
+      }
+      if (condition.ports.length === 0) {
+        return { status: 'review', detail: 'The condition names notified ports that could not be parsed' };
+      }
+      const port = String(fields.port).toLowerCase();
+      const matched = condition.ports.find(name => port.includes(name.toLowerCase()) || name.toLowerCase().includes(port));
+      return matched
+        ? { status: 'met', detail: `${fields.port} is a notified port` }
+        : { status: 'unmet', detail: `${fields.port} is not among the notified ports: ${condition.ports.join(', ')}` };
+    }
+
+    case 'minimum_price': {
+      const unitPrice = parseFloat(fields.unitPrice);
+      if (Number.isNaN(unitPrice)) {
+        return { status: 'information_required', detail: 'Provide unitPrice to check the minimum export price' };
+      }
+      return unitPrice >= condition.minimumUnitPrice
+        ? { status: 'met', detail: `Unit price ${unitPrice} meets the minimum of ${condition.minimumUnitPrice}` }
+        : { status: 'unmet', detail: `Unit price ${unitPrice} is below the minimum of ${condition.minimumUnitPrice}` };
+    }
+
+    case 'material': {
+      if (!fields.material) {
+        return { status: 'information_required', detail: 'Provide material to check the material condition' };
+      }
+      const material = String(fields.material).toLowerCase();
+      const mentions = list => (list || []).some(name => material.includes(name.toLowerCase()) || name.toLowerCase().includes(material));
+      if (condition.allowedMaterials) {
+        return mentions(condition.allowedMaterials)
+          ? { status: 'met', detail: `${fields.material} is a permitted material` }
+          : { status: 'unmet', detail: `Only permitted for: ${condition.allowedMaterials.join(', ')}` };
+      }
+      return mentions(condition.excludedMaterials)
+        ? { status: 'unmet', detail: `${fields.material} is an excluded material` }
+        : { status: 'met', detail: `${fields.material} is not an excluded material` };
+    }
+
+    case 'licence':
+    case 'ste':
+    case 'registration':
+    case 'certificate':
+      return documents.includes(condition.type)
+        ? { status: 'met', detail: `${condition.document} declared` }
+        : { status: 'document_required', detail: condition.document };
+
+    case 'reference':
+      return { status: 'informational', detail: condition.text };
+
+    default:
+      return { status: 'review', detail: 'Condition text needs manual review' };
+  }
+}
+
+// Evaluate typed conditions against request fields (itemWeight, material, port, unitPrice, documents)
+function evaluateConditions(conditions, fields = {}) {
+  const evaluated = (conditions || []).map(condition => ({ ...condition, ...evaluateCondition(condition, fields) }));
+  const count = status => evaluated.filter(condition => condition.status === status).length;
+
+  return {
+    conditions: evaluated,
+    summary: {
+      met: count('met'),
+      unmet: count('unmet'),
+      documentsRequired: count('document_required'),
+      informationRequired: count('information_required'),
+      review: count('review')
+    }
+  };
+}
+
+module.exports = {
+  declaredDocuments,
+  parsePolicyConditions,
+  evaluateConditions
+};
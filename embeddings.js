@@ -0,0 +1,722 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const workerpool = require('workerpool');
+const { embedText, embeddingModelId } = require('./providers');
+const { getStore, createJsonStore, materializeChunks } = require('./storage');
+const { estimateTokens, withRetry, workerLimiter } = require('./rate-limiter');
+const { listVersions, recordVersion } = require('./versions');
+const { buildVectorIndex, needsVectorIndex, isVectorIndexCurrent, searchChunks } = require('./vector-index');
+const { execInWorker } = require('./request-context');
+const { SUPPORTED_DOCUMENT_TYPES, parseDocumentWithLayout, extractHSCodesHybrid } = require('./extraction');
+const { extractTableRows } = require('./table-extraction');
+const { validateExtraction } = require('./validation');
+
+// Maximum number of parallel workers
+const MAX_WORKERS = Math.max(1, os.cpus().length - 1);
+
+// Read a jurisdiction's database from the configured store, or null if it was never built
+function loadDatabase(jurisdiction) {
+  return getStore().load(jurisdiction);
+}
+
+// Save a database and return the copy to keep in memory: a store that serves chunks on demand is read back,
+// so the chunk text and vectors of a build do not stay resident
+function saveDatabase(jurisdiction, database) {
+  const store = getStore();
+  store.save(jurisdiction, database);
+  return store.lazyChunks ? store.load(jurisdiction) : database;
+}
+
+// Remove a jurisdiction's stored database so the next build starts from the PDF
+function clearDatabase(jurisdiction) {
+  getStore().clear(jurisdiction);
+}
+
+// Split text into chunks of roughly chunkSize characters along paragraph boundaries
+function splitTextIntoChunks(text, chunkSize = 1000) {
+  const textChunks = [];
+
+  const paragraphs = text.split('\n\n');
+  let currentChunk = '';
+
+  for (const paragraph of paragraphs) {
+    if ((currentChunk + paragraph).length > chunkSize) {
+      if (currentChunk.length > 0) {
+        textChunks.push(currentChunk.trim());
+        currentChunk = '';
+      }
+
+      if (paragraph.length > chunkSize) {
+        const words = paragraph.split(' ');
+        let subChunk = '';
+
+        for (const word of words) {
+          if ((subChunk + ' ' + word).length > chunkSize) {
+            textChunks.push(subChunk.trim());
+            subChunk = word;
+          } else {
+            subChunk += ' ' + word;
+          }
+        }
+
+        if (subChunk.length > 0) {
+          currentChunk = subChunk.trim();
+        }
+      } else {
+        currentChunk = paragraph;
+      }
+    } else {
+      currentChunk += '\n\n' + paragraph;
+    }
+  }
+
+  if (currentChunk.length > 0) {
+    textChunks.push(currentChunk.trim());
+  }
+
+  return textChunks;
+}
+
+// Read the text and page layout of a jurisdiction's base PDF followed by its uploaded documents
+async function readSourceDocuments(jurisdiction) {
+  const sources = [];
+
+  if (fs.existsSync(jurisdiction.pdfPath)) {
+    sources.push({
+      fileName: path.basename(jurisdiction.pdfPath),
+      ...await parseDocumentWithLayout(fs.readFileSync(jurisdiction.pdfPath), jurisdiction.pdfPath)
+    });
+  }
+
+  if (fs.existsSync(jurisdiction.documentsDir)) {
+    // Stored names start with the upload timestamp, so later amendments are applied last
+    const documentFiles = fs.readdirSync(jurisdiction.documentsDir)
+      .filter(file => SUPPORTED_DOCUMENT_TYPES.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of documentFiles) {
+      const filePath = path.join(jurisdiction.documentsDir, file);
+      sources.push({ fileName: file, ...await parseDocumentWithLayout(fs.readFileSync(filePath), filePath) });
+    }
+  }
+
+  if (sources.length === 0) {
+    throw new Error(`No source documents found for ${jurisdiction.id}: ${jurisdiction.pdfPath} does not exist and nothing has been uploaded`);
+  }
+
+  return sources;
+}
+
+// Codes listed per side of the layout/text comparison in a report; the counts cover them all
+const MAX_REPORTED_COMPARISON_CODES = 200;
+
+// Extract codes from one document with both readers: its table layout, when one is found, and region by region with the
+// jurisdiction's regex and, where it allows it, AI for regions the regex cannot read. Results are merged by code, the
+// layout winning where both read a code, and the report lists the codes only one reader found
+async function runExtraction(source, jurisdiction, pool) {
+  const { fileName, text, pages } = source;
+  const table = pages && pages.length > 0 ? extractTableRows(pages, jurisdiction, fileName) : null;
+  const layoutCodes = table && table.report.rows > 0 ? table.hsCodesData : {};
+
+  // Pages the layout read need no AI pass; pages it missed still get one
+  const layoutPages = new Set(Object.values(layoutCodes).map(entry => entry.provenance.page));
+  const result = await extractHSCodesHybrid(text, pages, jurisdiction, pool, fileName, { skipAIPages: layoutPages });
+
+  const hsCodesData = { ...result.hsCodesData, ...layoutCodes };
+  const itemToHsMap = { ...result.itemToHsMap, ...(table ? table.itemToHsMap : {}) };
+  const duplicates = [...result.duplicates, ...(table ? table.duplicates : [])];
+  const layoutOnly = [];
+  const conflicting = [];
+
+  Object.entries(layoutCodes).forEach(([hsCode, entry]) => {
+    const textEntry = result.hsCodesData[hsCode];
+    if (!textEntry) {
+      layoutOnly.push(hsCode);
+    } else if (textEntry.policy.toLowerCase() !== entry.policy.toLowerCase()) {
+      conflicting.push(hsCode);
+      duplicates.push({ hsCode, previousPolicy: textEntry.policy, policy: entry.policy });
+    }
+  });
+  const textOnly = Object.keys(result.hsCodesData).filter(hsCode => !layoutCodes[hsCode]);
+
+  const byMethod = { layout: 0, regex: 0, ai: 0 };
+  Object.values(hsCodesData).forEach(entry => { byMethod[entry.provenance.method]++; });
+  const methodsUsed = Object.keys(byMethod).filter(method => byMethod[method] > 0);
+
+  return {
+    hsCodesData,
+    itemToHsMap,
+    duplicates,
+    report: {
+      method: methodsUsed.length === 1 ? methodsUsed[0] : methodsUsed.length === 0 ? 'regex' : 'hybrid',
+      pages: pages ? pages.length : null,
+      columns: table ? table.report.columns : null,
+      rows: Object.keys(hsCodesData).length,
+      byMethod,
+      regions: result.regions,
+      // Only meaningful when the layout reader found a table
+      comparison: table && table.report.rows > 0
+        ? {
+          layoutOnlyCount: layoutOnly.length,
+          textOnlyCount: textOnly.length,
+          conflictingCount: conflicting.length,
+          layoutOnly: layoutOnly.slice(0, MAX_REPORTED_COMPARISON_CODES),
+          textOnly: textOnly.slice(0, MAX_REPORTED_COMPARISON_CODES),
+          conflicting: conflicting.slice(0, MAX_REPORTED_COMPARISON_CODES)
+        }
+        : null,
+      duplicateCodes: duplicates.map(duplicate => duplicate.hsCode),
+      incompleteRows: table ? table.report.incompleteRows : [],
+      // Only the layout extractor knows which lines it skipped
+      unparsedLinesCount: table ? table.report.unparsedLinesCount : null,
+      unparsedLines: table ? table.report.unparsedLines : []
+    }
+  };
+}
+
+// Extract and validate one document's codes, logging a summary of what was found
+async function extractDocumentCodes(source, jurisdiction, pool) {
+  const extraction = await runExtraction(source, jurisdiction, pool);
+  const validation = validateExtraction(extraction, { text: source.text, method: extraction.report.method, jurisdiction });
+
+  console.log(`[${jurisdiction.id}] ${source.fileName}: ${extraction.report.rows} ${jurisdiction.codeLabel} codes by ${extraction.report.method} extraction, ${validation.errors} validation errors, ${validation.warnings} warnings`);
+  return { ...extraction, validation };
+}
+
+// The extraction summary kept with each document in the database
+function describeExtraction(report) {
+  return {
+    method: report.method,
+    rows: report.rows,
+    byMethod: report.byMethod || { [report.method]: report.rows },
+    aiRegions: report.regions ? report.regions.ai : [],
+    aiRejectedRows: report.regions ? report.regions.aiRejectedRows : [],
+    comparison: report.comparison || null,
+    duplicateCodes: report.duplicateCodes,
+    incompleteRows: report.incompleteRows,
+    unparsedLinesCount: report.unparsedLinesCount,
+    unparsedLines: report.unparsedLines
+  };
+}
+
+// Chunks are identified by a hash of their text, so unchanged text keeps its id and vector across rebuilds
+function chunkId(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+}
+
+// Embed text chunks on the worker pool under the shared rate limiter, retrying transient failures.
+// Returns the embedded chunks and the chunks that failed every attempt, reporting progress through options.onProgress
+async function embedChunks(textChunks, pool, jurisdiction, options = {}) {
+  const { onProgress = () => {}, signal } = options;
+  console.log(`[${jurisdiction.id}] Generating embeddings for ${textChunks.length} chunks...`);
+
+  // Track progress
+  let completed = 0;
+  let failed = 0;
+  const total = textChunks.length;
+  onProgress({ phase: 'embedding chunks', processed: 0, total, failed: 0 });
+
+  // Generate embeddings in parallel
+  const embeddingPromises = textChunks.map(async ({ content, source }) => {
+    const id = chunkId(content);
+    try {
+      const embedding = await withRetry(
+        () => execInWorker(pool, 'generateEmbedding', [content]),
+        { limiter: workerLimiter, tokens: estimateTokens(content), signal }
+      );
+      completed++;
+      if (completed % 10 === 0) {
+        console.log(`[${jurisdiction.id}] Processed ${completed} out of ${total} chunks`);
+      }
+      onProgress({ processed: completed + failed });
+      return { id, content, source, embedding };
+    } catch (error) {
+      // A cancelled build terminates the pool, failing every queued chunk; that is not worth a log line each
+      if (!(signal && signal.aborted)) {
+        console.error(`[${jurisdiction.id}] Error generating embedding for chunk ${id} after ${error.attempts || 1} attempts:`, error);
+      }
+      failed++;
+      onProgress({ processed: completed + failed, failed });
+      return {
+        failure: { id, content, source, error: error.message, attempts: error.attempts || 1, failedAt: new Date().toISOString() }
+      };
+    }
+  });
+
+  const results = await Promise.all(embeddingPromises);
+
+  const embedded = results.filter(result => !result.failure);
+  const failedChunks = results.filter(result => result.failure).map(result => result.failure);
+
+  if (failedChunks.length > 0) {
+    console.warn(`[${jurisdiction.id}] Some chunks failed to generate embeddings. Processed ${embedded.length} out of ${textChunks.length} chunks; the rest are listed as failed chunks for retry.`);
+  }
+
+  return { embedded, failedChunks };
+}
+
+// Descriptions are embedded in batches of this size (the Gemini batch limit)
+const DESCRIPTION_BATCH_SIZE = 100;
+
+// Embed the code descriptions not yet in existingEmbeddings, keyed by lowercased description.
+// Returns the embeddings and the descriptions whose batch failed every attempt
+async function embedDescriptions(hsCodesData, existingEmbeddings, pool, jurisdiction, options = {}) {
+  const { signal } = options;
+  const descriptionEmbeddings = { ...existingEmbeddings };
+  const failedDescriptions = [];
+  const pending = [...new Set(Object.values(hsCodesData).map(entry => entry.description.toLowerCase()))]
+    .filter(description => !descriptionEmbeddings[description]);
+
+  if (pending.length === 0) {
+    return { descriptionEmbeddings, failedDescriptions };
+  }
+
+  console.log(`[${jurisdiction.id}] Generating embeddings for ${pending.length} code descriptions...`);
+
+  const batches = [];
+  for (let i = 0; i < pending.length; i += DESCRIPTION_BATCH_SIZE) {
+    batches.push(pending.slice(i, i + DESCRIPTION_BATCH_SIZE));
+  }
+
+  await Promise.all(batches.map(async (batch, index) => {
+    try {
+      const embeddings = await withRetry(
+        () => execInWorker(pool, 'generateEmbeddings', [batch]),
+        { limiter: workerLimiter, tokens: estimateTokens(batch), signal }
+      );
+      batch.forEach((description, i) => {
+        descriptionEmbeddings[description] = embeddings[i];
+      });
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        console.error(`[${jurisdiction.id}] Error generating description embeddings for batch ${index} after ${error.attempts || 1} attempts:`, error);
+      }
+      failedDescriptions.push(...batch);
+    }
+  }));
+
+  return { descriptionEmbeddings, failedDescriptions };
+}
+
+// Attach a chunk index built from the database's current chunks (none for small datasets)
+function withVectorIndex(embeddingsDatabase) {
+  const database = { ...embeddingsDatabase, chunks: materializeChunks(embeddingsDatabase) };
+  delete database.chunkStore;
+  const chunkIndex = buildVectorIndex(database.chunks);
+
+  delete database.chunkIndex;
+  if (chunkIndex) {
+    database.chunkIndex = chunkIndex;
+  }
+  return database;
+}
+
+function createWorkerPool() {
+  return workerpool.pool(path.join(__dirname, 'worker.js'), { maxWorkers: MAX_WORKERS });
+}
+
+// Count chunk changes between builds. Within a source document, a new chunk and a vanished chunk pair up as one
+// changed chunk; the rest are added or removed. Text that merely moved keeps its vector and counts as unchanged.
+function summarizeChunkChanges(textChunks, previousChunks) {
+  const currentIds = new Set(textChunks.map(chunk => chunk.id));
+  const previousIds = new Set(previousChunks.map(chunk => chunkId(chunk.content)));
+  const sources = new Set([...textChunks, ...previousChunks].map(chunk => chunk.source));
+  const changes = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+
+  textChunks.forEach(chunk => {
+    if (previousIds.has(chunk.id)) changes.unchanged++;
+  });
+
+  sources.forEach(source => {
+    const newInSource = new Set(textChunks
+      .filter(chunk => chunk.source === source && !previousIds.has(chunk.id))
+      .map(chunk => chunk.id)).size;
+    const goneFromSource = new Set(previousChunks
+      .filter(chunk => chunk.source === source && !currentIds.has(chunkId(chunk.content)))
+      .map(chunk => chunkId(chunk.content))).size;
+    const changed = Math.min(newInSource, goneFromSource);
+
+    changes.changed += changed;
+    changes.added += newInSource - changed;
+    changes.removed += goneFromSource - changed;
+  });
+
+  return changes;
+}
+
+// Build a jurisdiction's database from its PDF and uploaded documents, reusing the previous build's vectors for unchanged text
+// options.signal aborts the build (nothing is saved) and options.onProgress receives phase and chunk counts
+async function buildDatabase(jurisdiction, previousDatabase = null, options = {}) {
+  const { onProgress = () => {}, signal } = options;
+  const throwIfCancelled = () => signal && signal.throwIfAborted();
+
+  onProgress({ phase: 'reading documents' });
+  const sources = await readSourceDocuments(jurisdiction);
+  throwIfCancelled();
+
+  // Vectors from another embedding model live in a different space and cannot be reused
+  const canReuse = Boolean(previousDatabase) && (previousDatabase.embeddingModel || embeddingModelId()) === embeddingModelId();
+  const previousChunks = canReuse ? materializeChunks(previousDatabase) : [];
+  const previousDocuments = new Map(((previousDatabase && previousDatabase.documents) || []).map(document => [document.fileName, document]));
+
+  // Create a worker pool; cancelling stops in-flight work by terminating it
+  const pool = createWorkerPool();
+  const terminatePool = () => pool.terminate(true);
+  if (signal) signal.addEventListener('abort', terminatePool);
+
+  try {
+    const hsCodesData = {};
+    const itemToHsMap = {};
+    const textChunks = [];
+    const seenChunkIds = new Set();
+    const documents = [];
+
+    onProgress({ phase: 'extracting codes', processed: 0, total: sources.length });
+    for (const source of sources) {
+      const { fileName, text } = source;
+      console.log(`[${jurisdiction.id}] Extracted ${fileName} text length:`, text.length);
+
+      const extraction = await extractDocumentCodes(source, jurisdiction, pool);
+      throwIfCancelled();
+      onProgress({ processed: documents.length + 1 });
+      Object.assign(hsCodesData, extraction.hsCodesData);
+      Object.assign(itemToHsMap, extraction.itemToHsMap);
+
+      // Repeated text (running headers, boilerplate) is kept once, under its first source
+      const documentChunks = splitTextIntoChunks(text);
+      documentChunks.forEach(content => {
+        const id = chunkId(content);
+        if (!seenChunkIds.has(id)) {
+          seenChunkIds.add(id);
+          textChunks.push({ id, content, source: fileName });
+        }
+      });
+
+      documents.push({
+        ...previousDocuments.get(fileName),
+        fileName,
+        hsCodesCount: Object.keys(extraction.hsCodesData).length,
+        chunksCount: documentChunks.length,
+        extraction: describeExtraction(extraction.report),
+        validation: extraction.validation
+      });
+    }
+
+    // Older databases numbered their chunks, so previous vectors are matched on a hash of their text
+    const previousVectors = new Map(previousChunks.map(chunk => [chunkId(chunk.content), chunk.embedding]));
+    const pendingChunks = textChunks.filter(chunk => !previousVectors.has(chunk.id));
+    const { embedded: embeddedChunks, failedChunks } = await embedChunks(pendingChunks, pool, jurisdiction, { onProgress, signal });
+    throwIfCancelled();
+    const embeddedById = new Map(embeddedChunks.map(chunk => [chunk.id, chunk]));
+
+    const chunks = textChunks
+      .map(chunk => (previousVectors.has(chunk.id)
+        ? { ...chunk, embedding: previousVectors.get(chunk.id) }
+        : embeddedById.get(chunk.id)))
+      .filter(Boolean);
+
+    // Keep description vectors only for descriptions still in the schedule
+    const currentDescriptions = new Set(Object.values(hsCodesData).map(entry => entry.description.toLowerCase()));
+    const previousDescriptionEmbeddings = Object.fromEntries(
+      Object.entries((canReuse && previousDatabase.descriptionEmbeddings) || {})
+        .filter(([description]) => currentDescriptions.has(description))
+    );
+
+    onProgress({ phase: 'embedding descriptions' });
+    const { descriptionEmbeddings, failedDescriptions } = await embedDescriptions(hsCodesData, previousDescriptionEmbeddings, pool, jurisdiction, { signal });
+    throwIfCancelled();
+
+    onProgress({ phase: 'indexing' });
+    // Failures are recorded with the database so they can be retried without a full rebuild
+    const database = withVectorIndex({
+      chunks,
+      hsCodesData,
+      descriptionEmbeddings,
+      embeddingModel: embeddingModelId(),
+      documents,
+      itemToHsMap,
+      failedChunks,
+      failedDescriptions
+    });
+
+    const changes = {
+      ...summarizeChunkChanges(textChunks, previousChunks),
+      embedded: embeddedChunks.length,
+      failed: failedChunks.length,
+      failedDescriptions: failedDescriptions.length
+    };
+
+    return { database, changes };
+  } finally {
+    // Terminate the worker pool
+    if (signal) signal.removeEventListener('abort', terminatePool);
+    await pool.terminate();
+  }
+}
+
+// Databases built before versioning get their current codes recorded as the first version
+function recordBaselineVersion(jurisdiction, database) {
+  if (listVersions(jurisdiction).length === 0) {
+    recordVersion(jurisdiction, database, { reason: 'baseline of a database stored before versioning' });
+  }
+}
+
+// Load a jurisdiction's stored database, or build it from its PDF and uploaded documents
+async function generatePdfEmbeddings(jurisdiction) {
+  try {
+    const existingDatabase = loadDatabase(jurisdiction);
+    if (existingDatabase) {
+      console.log(`[${jurisdiction.id}] Stored embeddings database found (${getStore().name}). Using existing data.`);
+      if (!existingDatabase.descriptionEmbeddings) {
+        console.warn(`[${jurisdiction.id}] No code description embeddings found; HS code suggestions will use text matching only until embeddings are regenerated.`);
+      }
+      if (existingDatabase.embeddingModel && existingDatabase.embeddingModel !== embeddingModelId()) {
+        console.warn(`[${jurisdiction.id}] Database was embedded with ${existingDatabase.embeddingModel} but the configured provider is ${embeddingModelId()}; semantic search will be meaningless until embeddings are regenerated.`);
+      }
+
+      // Databases saved before the index existed, or edited outside the server, get a fresh one
+      const { chunkIndex, chunks } = existingDatabase;
+      if (!isVectorIndexCurrent(chunkIndex, chunks) && (needsVectorIndex(chunks) || chunkIndex)) {
+        console.log(`[${jurisdiction.id}] Rebuilding the chunk vector index...`);
+        const indexedDatabase = saveDatabase(jurisdiction, withVectorIndex(existingDatabase));
+        recordBaselineVersion(jurisdiction, indexedDatabase);
+        return indexedDatabase;
+      }
+      recordBaselineVersion(jurisdiction, existingDatabase);
+      return existingDatabase;
+    }
+
+    if (getStore().name !== 'json' && createJsonStore().exists(jurisdiction)) {
+      console.warn(`[${jurisdiction.id}] JSON database files exist but the ${getStore().name} store is empty; run "npm run migrate:sqlite" to reuse them instead of rebuilding.`);
+    }
+
+    console.log(`[${jurisdiction.id}] Generating embeddings from PDF...`);
+
+    const { database: builtDatabase } = await buildDatabase(jurisdiction);
+
+    const database = saveDatabase(jurisdiction, builtDatabase);
+    console.log(`[${jurisdiction.id}] Embeddings and item mapping saved (${getStore().name}).`);
+    recordVersion(jurisdiction, database, { reason: 'initial build' });
+
+    return database;
+  } catch (error) {
+    console.error(`[${jurisdiction.id}] Error generating embeddings:`, error);
+    throw error;
+  }
+}
+
+// Rebuild from the source documents, embedding only new or changed chunks, and replace the stored database.
+// options.version names and dates the resulting version
+async function regenerateEmbeddings(jurisdiction, previousDatabase, options = {}) {
+  console.log(`[${jurisdiction.id}] Regenerating embeddings incrementally...`);
+
+  const { database: builtDatabase, changes } = await buildDatabase(jurisdiction, previousDatabase, options);
+
+  if (options.onProgress) options.onProgress({ phase: 'saving' });
+  const database = saveDatabase(jurisdiction, builtDatabase);
+  console.log(`[${jurisdiction.id}] Regenerated: ${changes.added} added, ${changes.changed} changed, ${changes.removed} removed, ${changes.unchanged} unchanged chunks.`);
+  const version = recordVersion(jurisdiction, database, { reason: 'regeneration', ...options.version });
+
+  return { database, changes, version };
+}
+
+// Parse an uploaded regulation document and merge it into a copy of the active database.
+// options.signal aborts the upload; nothing is stored once it has been aborted
+async function addDocumentToDatabase(jurisdiction, embeddingsDatabase, buffer, originalName, options = {}) {
+  const { signal } = options;
+  const source = await parseDocumentWithLayout(buffer, originalName);
+  const { text } = source;
+  if (signal) signal.throwIfAborted();
+
+  if (!text.trim()) {
+    throw new Error(`No text could be extracted from ${originalName}`);
+  }
+
+  const fileName = `${Date.now()}-${path.basename(originalName).replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+  const pool = createWorkerPool();
+  const terminatePool = () => pool.terminate(true);
+  if (signal) signal.addEventListener('abort', terminatePool);
+
+  try {
+    const { hsCodesData, itemToHsMap, report, validation } = await extractDocumentCodes({ ...source, fileName }, jurisdiction, pool);
+    if (signal) signal.throwIfAborted();
+    const existingCodes = embeddingsDatabase.hsCodesData || {};
+    const updatedCodes = Object.keys(hsCodesData).filter(code => existingCodes[code]);
+
+    // Only text not already in the database needs a vector
+    const documentChunks = splitTextIntoChunks(text);
+    const existingChunks = materializeChunks(embeddingsDatabase);
+    const knownChunkIds = new Set(existingChunks.map(chunk => chunkId(chunk.content)));
+    const textChunks = [...new Set(documentChunks)]
+      .filter(content => !knownChunkIds.has(chunkId(content)))
+      .map(content => ({ content, source: fileName }));
+    const { embedded: newChunks, failedChunks } = await embedChunks(textChunks, pool, jurisdiction, { signal });
+    if (signal) signal.throwIfAborted();
+    const { descriptionEmbeddings, failedDescriptions } = await embedDescriptions(
+      hsCodesData,
+      embeddingsDatabase.descriptionEmbeddings || {},
+      pool,
+      jurisdiction,
+      { signal }
+    );
+    if (signal) signal.throwIfAborted();
+
+    const document = {
+      fileName,
+      originalName,
+      uploadedAt: new Date().toISOString(),
+      hsCodesCount: Object.keys(hsCodesData).length,
+      addedHsCodesCount: Object.keys(hsCodesData).length - updatedCodes.length,
+      updatedHsCodesCount: updatedCodes.length,
+      chunksCount: documentChunks.length,
+      newChunksCount: newChunks.length,
+      failedChunksCount: failedChunks.length,
+      extraction: describeExtraction(report),
+      validation
+    };
+
+    // Keep the document so later regenerations include it
+    fs.mkdirSync(jurisdiction.documentsDir, { recursive: true });
+    fs.writeFileSync(path.join(jurisdiction.documentsDir, fileName), buffer);
+
+    const updatedDatabase = withVectorIndex({
+      ...embeddingsDatabase,
+      chunks: [...existingChunks, ...newChunks],
+      hsCodesData: { ...existingCodes, ...hsCodesData },
+      descriptionEmbeddings,
+      itemToHsMap: { ...embeddingsDatabase.itemToHsMap, ...itemToHsMap },
+      documents: [...(embeddingsDatabase.documents || []), document],
+      failedChunks: [...(embeddingsDatabase.failedChunks || []), ...failedChunks],
+      failedDescriptions: [...new Set([...(embeddingsDatabase.failedDescriptions || []), ...failedDescriptions])]
+    });
+
+    const database = saveDatabase(jurisdiction, updatedDatabase);
+    const version = recordVersion(jurisdiction, database, { reason: `document upload: ${originalName}` });
+
+    return { database, document, version };
+  } finally {
+    if (signal) signal.removeEventListener('abort', terminatePool);
+    await pool.terminate();
+  }
+}
+
+// Re-embed only the chunks and descriptions a previous build or upload recorded as failed
+async function retryFailedEmbeddings(jurisdiction, embeddingsDatabase, options = {}) {
+  const { onProgress = () => {}, signal } = options;
+  if (embeddingsDatabase.embeddingModel && embeddingsDatabase.embeddingModel !== embeddingModelId()) {
+    throw new Error(`The database was embedded with ${embeddingsDatabase.embeddingModel}, not the configured ${embeddingModelId()}; regenerate it instead of retrying`);
+  }
+
+  const previousFailedChunks = embeddingsDatabase.failedChunks || [];
+  const previousFailedDescriptions = embeddingsDatabase.failedDescriptions || [];
+
+  // Skip anything a later build has embedded or dropped since
+  const knownChunkIds = new Set(embeddingsDatabase.chunks.map(chunk => String(chunk.id)));
+  const pendingChunks = previousFailedChunks
+    .filter(chunk => !knownChunkIds.has(String(chunk.id)))
+    .map(({ content, source }) => ({ content, source }));
+  const currentCodes = Object.fromEntries(Object.entries(embeddingsDatabase.hsCodesData || {})
+    .filter(([, entry]) => previousFailedDescriptions.includes(entry.description.toLowerCase())));
+  const pendingDescriptionsCount = new Set(Object.values(currentCodes).map(entry => entry.description.toLowerCase())).size;
+
+  const pool = createWorkerPool();
+  const terminatePool = () => pool.terminate(true);
+  if (signal) signal.addEventListener('abort', terminatePool);
+
+  try {
+    const { embedded, failedChunks } = await embedChunks(pendingChunks, pool, jurisdiction, { onProgress, signal });
+    if (signal) signal.throwIfAborted();
+
+    onProgress({ phase: 'embedding descriptions' });
+    const { descriptionEmbeddings, failedDescriptions } = await embedDescriptions(
+      currentCodes,
+      embeddingsDatabase.descriptionEmbeddings || {},
+      pool,
+      jurisdiction,
+      { signal }
+    );
+    if (signal) signal.throwIfAborted();
+
+    onProgress({ phase: 'saving' });
+    const database = saveDatabase(jurisdiction, withVectorIndex({
+      ...embeddingsDatabase,
+      chunks: [...materializeChunks(embeddingsDatabase), ...embedded],
+      descriptionEmbeddings,
+      failedChunks,
+      failedDescriptions
+    }));
+
+    const report = {
+      retriedChunks: pendingChunks.length,
+      recoveredChunks: embedded.length,
+      retriedDescriptions: pendingDescriptionsCount,
+      recoveredDescriptions: pendingDescriptionsCount - failedDescriptions.length,
+      failedChunks: failedChunks.map(({ id, source, error, attempts }) => ({ id, source, error, attempts })),
+      failedDescriptions
+    };
+    console.log(`[${jurisdiction.id}] Retried failed embeddings: ${report.recoveredChunks} of ${report.retriedChunks} chunks recovered.`);
+
+    return { database, report };
+  } finally {
+    if (signal) signal.removeEventListener('abort', terminatePool);
+    await pool.terminate();
+  }
+}
+
+// Find the chunks most similar to a query, optionally dropping those below minSimilarity
+async function findRelevantContent(query, embeddingsDatabase, topK = 5, minSimilarity = -1) {
+  try {
+    const queryEmbedding = await embedText(query, { purpose: 'chunk-search' });
+
+    const { results } = searchChunks(queryEmbedding, embeddingsDatabase.chunks, embeddingsDatabase.chunkIndex, {
+      topK,
+      minSimilarity,
+      chunkStore: embeddingsDatabase.chunkStore
+    });
+
+    return results.map(({ chunk, similarity }) => ({ id: chunk.id, content: chunk.content, similarity }));
+  } catch (error) {
+    console.error('Error finding relevant content:', error);
+    throw error;
+  }
+}
+
+// Helper function to calculate cosine similarity
+function cosineSimilarity(vecA, vecB) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  normA = Math.sqrt(normA);
+  normB = Math.sqrt(normB);
+
+  // Text with no hashed features embeds to the zero vector under the local provider
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dotProduct / (normA * normB);
+}
+
+module.exports = {
+  MAX_WORKERS,
+  loadDatabase,
+  saveDatabase,
+  clearDatabase,
+  splitTextIntoChunks,
+  chunkId,
+  generatePdfEmbeddings,
+  regenerateEmbeddings,
+  retryFailedEmbeddings,
+  addDocumentToDatabase,
+  findRelevantContent,
+  cosineSimilarity
+};
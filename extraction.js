@@ -0,0 +1,348 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const { parsePolicyConditions } = require('./conditions');
+const { estimateTokens, withRetry, workerLimiter } = require('./rate-limiter');
+const { execInWorker } = require('./request-context');
+
+// Regulation document formats we can turn into plain text
+const SUPPORTED_DOCUMENT_TYPES = ['.pdf', '.docx'];
+
+// pdf-parse page renderer that also records where each text item sits on the page.
+// The text is built exactly as pdf-parse's default renderer builds it, so chunk ids do not change
+function createLayoutRenderer(pages) {
+  return pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      const items = [];
+      let lastY;
+      let text = '';
+
+      textContent.items.forEach(item => {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+
+        if (item.str.trim()) {
+          items.push({
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width,
+            height: item.height || Math.abs(item.transform[3]),
+            text: item.str
+          });
+        }
+      });
+
+      // view is the page box [x0, y0, x1, y1]; its height tells margins from body text
+      pages.push({ number: pages.length + 1, height: pageData.view[3] - pageData.view[1], items, text });
+      return text;
+    });
+}
+
+// Extract the plain text of a PDF or DOCX regulation document, plus the positioned text items of each PDF page
+// (pages is null for DOCX, which has no page layout)
+async function parseDocumentWithLayout(buffer, fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (extension === '.pdf') {
+    const pages = [];
+    const pdfData = await pdfParse(buffer, { pagerender: createLayoutRenderer(pages) });
+    return { text: pdfData.text, pages };
+  }
+
+  if (extension === '.docx') {
+    const result = await mammoth.extractRawText({ buffer });
+    return { text: result.value, pages: null };
+  }
+
+  throw new Error(`Unsupported document type: ${extension || fileName}. Supported types: ${SUPPORTED_DOCUMENT_TYPES.join(', ')}`);
+}
+
+// Extract the plain text of a PDF or DOCX regulation document
+async function parseDocument(buffer, fileName) {
+  const { text } = await parseDocumentWithLayout(buffer, fileName);
+  return text;
+}
+
+// Add the searchable terms of a description to the item-to-HS-code mapping
+function addItemMappings(itemToHsMap, description, hsCode) {
+  const items = description.split(/[,;\/]/).map(item => item.trim().toLowerCase());
+  items.forEach(item => {
+    if (item.length > 3) { // Ignore very short terms
+      itemToHsMap[item] = hsCode;
+    }
+  });
+
+  // Also add the full description as a searchable item
+  itemToHsMap[description.toLowerCase()] = hsCode;
+}
+
+// Longest policy-condition text kept per code; anything longer is usually page furniture
+const MAX_POLICY_CONDITION_LENGTH = 500;
+
+// Build a code entry, structuring its policy-condition text when there is one
+function createCodeEntry(description, policy, policyCondition, notes) {
+  const entry = { description, policy };
+  const conditionText = (policyCondition || '').replace(/\s+/g, ' ').trim().substring(0, MAX_POLICY_CONDITION_LENGTH);
+
+  if (conditionText) {
+    entry.policyCondition = conditionText;
+    entry.conditions = parsePolicyConditions(conditionText);
+  }
+
+  // Only the layout extractor can tell a notes column apart from the condition
+  const notesText = (notes || '').replace(/\s+/g, ' ').trim();
+  if (notesText) {
+    entry.notes = notesText;
+  }
+
+  return entry;
+}
+
+// Lines that start something other than a wrapped condition cell: chapter and section headings, notes, page numbers
+const NON_CONDITION_LINE = /^(?:chapter|section|sub-?heading|notes?\b|schedule|annex|appendix|policy\b|page\s+\d|\d+\s*$|\d{4,}\b)/i;
+
+// The condition cell of a regex-matched row: the rest of the row's line, plus the lines it wraps onto.
+// It stops at a blank line or a heading, so chapter notes and page furniture between rows are not read as conditions
+function rowConditionText(followingText) {
+  const [rowRest, ...nextLines] = followingText.split('\n');
+  if (!rowRest.trim()) {
+    return '';
+  }
+
+  const wrapped = [];
+  for (const line of nextLines) {
+    if (!line.trim() || NON_CONDITION_LINE.test(line.trim()) || /^[A-Z\s\d.,:()-]{6,}$/.test(line.trim())) break;
+    wrapped.push(line);
+  }
+  return [rowRest, ...wrapped].join(' ');
+}
+
+// Function to extract HS Codes from PDF content using the jurisdiction's table regex
+function extractHSCodes(pdfText, jurisdiction) {
+  // Clone the regex so concurrent extractions don't share lastIndex state
+  const hsCodeRegex = new RegExp(jurisdiction.hsCodeRegex.source, jurisdiction.hsCodeRegex.flags);
+  const hsCodesData = {};
+  const itemToHsMap = {};
+  const duplicates = [];
+  // Where each code's row starts in the text, so it can be traced to a page
+  const offsets = {};
+
+  const matches = [];
+  let match;
+  while ((match = hsCodeRegex.exec(pdfText)) !== null) {
+    matches.push({ match, start: match.index, end: hsCodeRegex.lastIndex });
+  }
+
+  matches.forEach(({ match, end }, index) => {
+    const hsCode = match[1];
+    const description = match[2].trim();
+    const policy = match[3];
+
+    // The policy condition column is what follows the policy on the same row, up to the next entry
+    const nextStart = index + 1 < matches.length ? matches[index + 1].start : pdfText.length;
+    const policyCondition = rowConditionText(pdfText.substring(end, Math.min(nextStart, end + MAX_POLICY_CONDITION_LENGTH * 2)));
+
+    if (hsCodesData[hsCode]) {
+      duplicates.push({ hsCode, previousPolicy: hsCodesData[hsCode].policy, policy });
+    }
+    hsCodesData[hsCode] = createCodeEntry(description, policy, policyCondition);
+    offsets[hsCode] = match.index;
+
+    addItemMappings(itemToHsMap, description, hsCode);
+  });
+
+  return { hsCodesData, itemToHsMap, duplicates, offsets };
+}
+
+// Text regions sent to the AI extractor at most this long; DOCX text, which has no pages, is cut into regions of this size
+const AI_REGION_SIZE = 10000;
+
+// Check and normalise one row returned by the model: the code loses the dots and spaces of printed codes (8471.30.01)
+// and must fit the jurisdiction's code pattern, the description must be text, and the policy is matched to the
+// jurisdiction's spelling. Returns { row } or { rejected } with the reason
+function normalizeAIRow(item, jurisdiction) {
+  if (!item || typeof item !== 'object') {
+    return { rejected: { hsCode: null, reason: 'not an object' } };
+  }
+
+  const rawCode = typeof item.hsCode === 'number' || typeof item.hsCode === 'string' ? String(item.hsCode) : '';
+  const hsCode = rawCode.replace(/[.\s-]/g, '');
+  if (!jurisdiction.tableCodePattern.test(hsCode)) {
+    return { rejected: { hsCode: rawCode || null, reason: `not a valid ${jurisdiction.codeLabel} code` } };
+  }
+
+  const description = typeof item.description === 'string' ? item.description.replace(/\s+/g, ' ').trim() : '';
+  if (!description) {
+    return { rejected: { hsCode, reason: 'missing or non-text description' } };
+  }
+
+  const policyText = typeof item.policy === 'string' ? item.policy.trim() : '';
+  const policy = jurisdiction.policies.find(known => known.toLowerCase() === policyText.toLowerCase()) || policyText || 'Unknown';
+  const policyCondition = typeof item.policyCondition === 'string' ? item.policyCondition : '';
+
+  return { row: { hsCode, description, policy, policyCondition } };
+}
+
+// Extract HS codes with Gemini from text the regex could not read
+async function extractHSCodesWithAI(pdfText, jurisdiction, pool) {
+  try {
+    const hsCodesData = {};
+    const itemToHsMap = {};
+    const duplicates = [];
+    const rejectedRows = [];
+
+    // Break the text into manageable chunks
+    const chunks = [];
+    for (let i = 0; i < pdfText.length; i += AI_REGION_SIZE) {
+      chunks.push(pdfText.substring(i, i + AI_REGION_SIZE));
+    }
+
+    console.log(`Extracting ${jurisdiction.codeLabel} codes from ${chunks.length} chunks using AI...`);
+
+    const results = await Promise.all(chunks.map(async (chunk, index) => {
+      try {
+        return await withRetry(
+          () => execInWorker(pool, 'extractHSCodesWithAI', [chunk, jurisdiction.direction]),
+          { limiter: workerLimiter, tokens: estimateTokens(chunk) }
+        );
+      } catch (error) {
+        console.error(`Error extracting HS codes from chunk ${index} after ${error.attempts || 1} attempts:`, error);
+        return [];
+      }
+    }));
+
+    // Merge results; a bad row is skipped on its own rather than losing the rest of its chunk
+    (Array.isArray(results) ? results : []).flatMap(result => (Array.isArray(result) ? result : [])).forEach(item => {
+      const { row, rejected } = normalizeAIRow(item, jurisdiction);
+      if (rejected) {
+        rejectedRows.push(rejected);
+        return;
+      }
+
+      const { hsCode, description, policy, policyCondition } = row;
+      if (hsCodesData[hsCode]) {
+        duplicates.push({ hsCode, previousPolicy: hsCodesData[hsCode].policy, policy });
+      }
+      hsCodesData[hsCode] = createCodeEntry(description, policy, policyCondition);
+
+      addItemMappings(itemToHsMap, description, hsCode);
+    });
+
+    if (rejectedRows.length > 0) {
+      console.warn(`Skipped ${rejectedRows.length} AI-extracted rows that were not valid ${jurisdiction.codeLabel} entries`);
+    }
+
+    return { hsCodesData, itemToHsMap, duplicates, rejectedRows };
+  } catch (error) {
+    console.error("Error using AI to extract HS codes:", error);
+    return { hsCodesData: {}, itemToHsMap: {}, duplicates: [], rejectedRows: [] };
+  }
+}
+
+// Cut a document's text into regions, one per PDF page where the page text can be found, with their offsets
+function splitIntoRegions(text, pages) {
+  const regions = [];
+
+  if (pages && pages.length > 0) {
+    let cursor = 0;
+    pages.forEach(page => {
+      const start = page.text ? text.indexOf(page.text, cursor) : -1;
+      if (start === -1) return;
+      regions.push({ index: regions.length, page: page.number, start, end: start + page.text.length, text: page.text });
+      cursor = start + page.text.length;
+    });
+  }
+
+  if (regions.length === 0) {
+    for (let start = 0; start < text.length; start += AI_REGION_SIZE) {
+      const end = Math.min(start + AI_REGION_SIZE, text.length);
+      regions.push({ index: regions.length, page: null, start, end, text: text.substring(start, end) });
+    }
+  }
+
+  return regions;
+}
+
+// Whether a region has numbers that read as tariff codes once dots and spaces are removed (8471.30.10, 8471 30 10)
+function hasCodeLikeText(text, jurisdiction) {
+  const candidates = text.match(/\b\d{4}(?:[.\s]?\d{2}){1,3}\b/g) || [];
+  return candidates.some(candidate => jurisdiction.tableCodePattern.test(candidate.replace(/[.\s]/g, '')));
+}
+
+// Extract codes region by region: the regex where it matches, and the AI (if the jurisdiction allows it) for regions
+// where the regex found nothing but code-like numbers appear. Each entry records its provenance: the method, the source
+// document, the region (chunk) index and the page. options.skipAIPages holds pages another reader already covered
+async function extractHSCodesHybrid(text, pages, jurisdiction, pool, fileName, options = {}) {
+  const skipAIPages = options.skipAIPages || new Set();
+  const regions = splitIntoRegions(text, pages);
+  // The regex runs over the whole text so rows crossing a page break still match; each match belongs to the region it starts in
+  const regexExtraction = extractHSCodes(text, jurisdiction);
+  const regionAt = offset => regions.find(region => offset >= region.start && offset < region.end) || null;
+
+  const hsCodesData = {};
+  const itemToHsMap = { ...regexExtraction.itemToHsMap };
+  const duplicates = [...regexExtraction.duplicates];
+  const regionsWithMatches = new Set();
+
+  Object.entries(regexExtraction.hsCodesData).forEach(([hsCode, entry]) => {
+    const region = regionAt(regexExtraction.offsets[hsCode]);
+    if (region) regionsWithMatches.add(region.index);
+    hsCodesData[hsCode] = {
+      ...entry,
+      provenance: { method: 'regex', source: fileName, chunk: region ? region.index : null, page: region ? region.page : null }
+    };
+  });
+
+  const aiRegions = jurisdiction.aiExtractionFallback
+    ? regions.filter(region => !regionsWithMatches.has(region.index) && !skipAIPages.has(region.page) && hasCodeLikeText(region.text, jurisdiction))
+    : [];
+
+  if (aiRegions.length > 0) {
+    console.warn(`[${jurisdiction.id}] The regex pattern found no ${jurisdiction.codeLabel} codes in ${aiRegions.length} of ${regions.length} regions of ${fileName} that contain code-like numbers. Using AI to extract them...`);
+  }
+
+  const aiExtractions = await Promise.all(aiRegions.map(region => extractHSCodesWithAI(region.text, jurisdiction, pool)));
+  const aiRejectedRows = [];
+  aiExtractions.forEach((extraction, position) => {
+    const region = aiRegions[position];
+    duplicates.push(...extraction.duplicates);
+    aiRejectedRows.push(...extraction.rejectedRows.map(rejected => ({ ...rejected, chunk: region.index, page: region.page })));
+    Object.entries(extraction.hsCodesData).forEach(([hsCode, entry]) => {
+      // A regex row is taken from the text as printed, so it wins over an AI reading of the same code
+      if (hsCodesData[hsCode]) {
+        duplicates.push({ hsCode, previousPolicy: entry.policy, policy: hsCodesData[hsCode].policy });
+        return;
+      }
+      hsCodesData[hsCode] = {
+        ...entry,
+        provenance: { method: 'ai', source: fileName, chunk: region.index, page: region.page }
+      };
+    });
+    Object.entries(extraction.itemToHsMap).forEach(([term, hsCode]) => {
+      if (!itemToHsMap[term] && hsCodesData[hsCode].provenance.method === 'ai') itemToHsMap[term] = hsCode;
+    });
+  });
+
+  return {
+    hsCodesData,
+    itemToHsMap,
+    duplicates,
+    regions: {
+      total: regions.length,
+      regex: regionsWithMatches.size,
+      ai: aiRegions.map(region => ({ chunk: region.index, page: region.page })),
+      aiRejectedRows
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_DOCUMENT_TYPES,
+  parseDocument,
+  parseDocumentWithLayout,
+  addItemMappings,
+  createCodeEntry,
+  extractHSCodes,
+  extractHSCodesWithAI,
+  extractHSCodesHybrid
+};
@@ -0,0 +1,53 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const GEMINI_TEXT_MODEL = process.env.GEMINI_TEXT_MODEL || 'gemini-1.5-flash';
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001';
+
+// Gemini text and embedding provider; the client is only created when this provider is selected
+function createGeminiProvider() {
+  const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+  if (!GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY is not set. Set it in .env, or use LLM_PROVIDER=local to run without Gemini.');
+  }
+  const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+  const model = genAI.getGenerativeModel({ model: GEMINI_TEXT_MODEL });
+  const embeddingModel = genAI.getGenerativeModel({ model: GEMINI_EMBEDDING_MODEL });
+
+  return {
+    name: 'gemini',
+    textModel: `gemini:${GEMINI_TEXT_MODEL}`,
+    embeddingModel: `gemini:${GEMINI_EMBEDDING_MODEL}`,
+
+    // Generate a text completion for a single prompt
+    async generateText(prompt, maxOutputTokens) {
+      const result = await model.generateContent({
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: { maxOutputTokens }
+      });
+
+      return result.response.text();
+    },
+
+    // Generate an embedding vector for a piece of text
+    async embedText(text) {
+      const embedResult = await embeddingModel.embedContent({
+        content: { parts: [{ text }] },
+      });
+
+      return embedResult.embedding.values;
+    },
+
+    // Generate embedding vectors for up to 100 texts in one request
+    async embedTexts(texts) {
+      const embedResult = await embeddingModel.batchEmbedContents({
+        requests: texts.map(text => ({ content: { parts: [{ text }] } }))
+      });
+
+      return embedResult.embeddings.map(embedding => embedding.values);
+    }
+  };
+}
+
+module.exports = {
+  createGeminiProvider
+};
@@ -0,0 +1,198 @@
+// HS nomenclature levels by code length; digits past 6 are national tariff lines
+const LEVELS = {
+  2: 'chapter',
+  4: 'heading',
+  6: 'subheading',
+  8: 'tariff line',
+  10: 'tariff line'
+};
+
+const ANCESTOR_LENGTHS = [2, 4, 6, 8];
+
+// Verdicts are only inferred from a heading or subheading; a chapter is too broad to stand in for an unlisted line
+const INFERENCE_LENGTHS = [4, 6];
+
+// An inferred "allowed" needs at least this many listed lines under the heading or subheading
+const MIN_INFERENCE_LINES = parseInt(process.env.HIERARCHY_MIN_INFERENCE_LINES, 10) || 2;
+
+function levelName(code) {
+  return LEVELS[code.length] || 'tariff line';
+}
+
+// Tree of chapters, headings and subheadings over the extracted tariff lines, built once per hsCodesData object
+const hierarchyCache = new WeakMap();
+
+function buildHierarchy(hsCodesData) {
+  if (hierarchyCache.has(hsCodesData)) {
+    return hierarchyCache.get(hsCodesData);
+  }
+
+  const nodes = new Map();
+
+  function ensureNode(code) {
+    if (!nodes.has(code)) {
+      nodes.set(code, { code, level: levelName(code), parent: null, children: new Set(), lines: [] });
+    }
+    return nodes.get(code);
+  }
+
+  Object.keys(hsCodesData).sort().forEach(hsCode => {
+    const lineNode = ensureNode(hsCode);
+    let child = lineNode;
+
+    // Link the line to each shorter prefix, from the deepest up to its chapter
+    ANCESTOR_LENGTHS
+      .filter(length => length < hsCode.length)
+      .reverse()
+      .forEach(length => {
+        const ancestor = ensureNode(hsCode.substring(0, length));
+        ancestor.lines.push(hsCode);
+        if (!child.parent) {
+          child.parent = ancestor.code;
+          ancestor.children.add(child.code);
+        }
+        child = ancestor;
+      });
+
+    lineNode.lines.push(hsCode);
+  });
+
+  const hierarchy = { nodes };
+  hierarchyCache.set(hsCodesData, hierarchy);
+  return hierarchy;
+}
+
+// Count the tariff lines under a node by policy and by the jurisdiction's "allowed" rule
+function summarizeLines(node, hsCodesData, jurisdiction) {
+  const policies = {};
+  let allowedLines = 0;
+
+  node.lines.forEach(hsCode => {
+    const policy = hsCodesData[hsCode].policy;
+    policies[policy] = (policies[policy] || 0) + 1;
+    if (jurisdiction.isAllowed(policy)) allowedLines++;
+  });
+
+  return { totalLines: node.lines.length, allowedLines, policies };
+}
+
+function describeNode(node, hsCodesData, jurisdiction) {
+  const hsData = hsCodesData[node.code];
+
+  return {
+    code: node.code,
+    level: node.level,
+    parent: node.parent,
+    description: hsData ? hsData.description : null,
+    policy: hsData ? hsData.policy : null,
+    childrenCount: node.children.size,
+    ...summarizeLines(node, hsCodesData, jurisdiction)
+  };
+}
+
+function getNode(hsCodesData, code) {
+  return buildHierarchy(hsCodesData).nodes.get(code) || null;
+}
+
+function listChapters(hsCodesData, jurisdiction) {
+  const { nodes } = buildHierarchy(hsCodesData);
+
+  return [...nodes.values()]
+    .filter(node => node.code.length === 2)
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map(node => describeNode(node, hsCodesData, jurisdiction));
+}
+
+function getChildren(hsCodesData, code, jurisdiction) {
+  const node = getNode(hsCodesData, code);
+  if (!node) return null;
+
+  return [...node.children]
+    .sort()
+    .map(childCode => describeNode(getNode(hsCodesData, childCode), hsCodesData, jurisdiction));
+}
+
+// Chain of nodes from the chapter down to the code itself (or its deepest known ancestor)
+function getAncestry(hsCodesData, code, jurisdiction) {
+  const { nodes } = buildHierarchy(hsCodesData);
+
+  return [...ANCESTOR_LENGTHS, code.length]
+    .filter((length, index, lengths) => length <= code.length && lengths.indexOf(length) === index)
+    .map(length => nodes.get(code.substring(0, length)))
+    .filter(Boolean)
+    .map(node => describeNode(node, hsCodesData, jurisdiction));
+}
+
+// Infer a verdict for an unlisted code from its deepest listed heading or subheading (itself, if it is one), stating the basis
+// explicitly. A code whose only listed ancestor is its chapter gets an indeterminate verdict rather than an inferred one
+function inferFromAncestors(hsCode, hsCodesData, jurisdiction) {
+  const { nodes } = buildHierarchy(hsCodesData);
+  const ancestorCode = INFERENCE_LENGTHS
+    .filter(length => length <= hsCode.length)
+    .reverse()
+    .map(length => hsCode.substring(0, length))
+    .find(code => nodes.has(code));
+
+  if (!ancestorCode) {
+    const chapterCode = hsCode.substring(0, 2);
+    if (hsCode.length <= 2 || !nodes.has(chapterCode)) {
+      return null;
+    }
+
+    const chapter = nodes.get(chapterCode);
+    return {
+      allowed: false,
+      policy: 'Indeterminate',
+      description: `No listed heading or subheading covers ${hsCode}; chapter ${chapterCode} (${chapter.lines.length} listed lines) is too broad to infer a verdict from`,
+      inferredFrom: {
+        code: chapterCode,
+        level: chapter.level,
+        ...summarizeLines(chapter, hsCodesData, jurisdiction)
+      }
+    };
+  }
+
+  const node = nodes.get(ancestorCode);
+  const summary = summarizeLines(node, hsCodesData, jurisdiction);
+  const [mostCommonPolicy] = Object.entries(summary.policies).sort((a, b) => b[1] - a[1])[0];
+
+  // Only an ancestor whose every line shares the verdict gives a usable answer, and a clearance needs enough lines behind it
+  let allowed = false;
+  let policy;
+  if (summary.allowedLines === summary.totalLines && summary.totalLines >= MIN_INFERENCE_LINES) {
+    allowed = true;
+    policy = jurisdiction.allowedPolicy;
+  } else if (summary.allowedLines === 0) {
+    policy = mostCommonPolicy;
+  } else {
+    policy = 'Indeterminate';
+  }
+
+  const breakdown = Object.entries(summary.policies)
+    .map(([linePolicy, count]) => `${count} ${linePolicy}`)
+    .join(', ');
+  const tooFewLines = summary.allowedLines === summary.totalLines && !allowed
+    ? `; at least ${MIN_INFERENCE_LINES} lines are needed to infer ${jurisdiction.allowedPolicy}`
+    : '';
+
+  return {
+    allowed,
+    policy,
+    description: `Inferred from ${node.level} ${ancestorCode}, ${summary.allowedLines} of ${summary.totalLines} lines ${jurisdiction.allowedPolicy} (${breakdown})${tooFewLines}`,
+    inferredFrom: {
+      code: ancestorCode,
+      level: node.level,
+      ...summary
+    }
+  };
+}
+
+module.exports = {
+  levelName,
+  buildHierarchy,
+  getNode,
+  listChapters,
+  getChildren,
+  getAncestry,
+  inferFromAncestors
+};
@@ -1,11 +1,27 @@
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
 const bodyParser = require('body-parser');
-const pdfParse = require('pdf-parse');
 const dotenv = require('dotenv');
-const workerpool = require('workerpool'); // New import for parallel processing
+const multer = require('multer');
+const path = require('path');
+const { generateText, embedText } = require('./providers');
+const { getJurisdiction, listJurisdictions } = require('./jurisdictions');
+const { generatePdfEmbeddings, regenerateEmbeddings, retryFailedEmbeddings, addDocumentToDatabase, findRelevantContent } = require('./embeddings');
+const { SUPPORTED_DOCUMENT_TYPES } = require('./extraction');
+const { findHSCodeByItemName, checkHSCodeCompliance, evaluateCodeConditions, checkCountryRestriction } = require('./compliance');
+const { findLaneJurisdictions, checkTradeLane } = require('./trade-lane');
+const { loadOriginRules, resolveCountry, evaluateOriginMeasures, originBlockReason } = require('./origin-rules');
+const { AUTH_DISABLED, describeApiKey, listApiKeys, getApiKey, createApiKey, revokeApiKey, authenticate, requireRole } = require('./auth');
+const { bindRequestContext } = require('./request-context');
+const { parseDate, describeVersion, listVersions, loadVersion, findVersionAsOf, diffVersions } = require('./versions');
+const { WEBHOOK_EVENTS, describeWebhook, listWebhooks, getWebhook, createWebhook, deleteWebhook, notifyVersionChanges, resumePendingDeliveries, listDeliveries } = require('./webhooks');
+const { startJob, getJob, findActiveJob, listJobs, cancelJob, describeJob } = require('./jobs');
+const { MAX_BATCH_ITEMS, parseManifestCsv, checkManifest } = require('./batch');
+const { rankHSCodeCandidates } = require('./matching');
+const { buildSearchIndex, buildItemIndex, searchCodes } = require('./search');
+const { ISSUE_SEVERITIES, validateDatabaseCodes } = require('./validation');
+const { cacheStats, clearCache } = require('./ai-cache');
+const { classifyProduct } = require('./classification');
+const { levelName, getNode, listChapters, getChildren, getAncestry } = require('./hierarchy');
 
 dotenv.config();
 
@@ -16,500 +32,1714 @@ const port = process.env.PORT || 3000;
 // Configure middleware
 app.use(bodyParser.json());
 
-// Set up Gemini API
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "YOUR_API_KEY";
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-const embeddingModel = genAI.getGenerativeModel({ model: "embedding-001" });
-
-// File paths
-const PDF_PATH = path.join(__dirname, 'merged_pdf.pdf');
-const EMBEDDINGS_PATH = path.join(__dirname, 'embeddings-database.json');
-const ITEM_TO_HS_PATH = path.join(__dirname, 'item-to-hs-mapping.json');
-
-// Function to extract HS Codes from PDF content (unchanged)
-function extractHSCodes(pdfText) {
-  const hsCodeRegex = /(\d{8})\s+(.*?)(?:\s+)(Free|Restricted|Prohibited|Not Permitted)/gi;
-  const hsCodesData = {};
-  const itemToHsMap = {};
-  
-  let match;
-  while ((match = hsCodeRegex.exec(pdfText)) !== null) {
-    const hsCode = match[1];
-    const description = match[2].trim();
-    const exportPolicy = match[3];
-    
-    hsCodesData[hsCode] = {
-      description,
-      policy: exportPolicy
-    };
-    
-    const items = description.split(/[,;\/]/).map(item => item.trim().toLowerCase());
-    items.forEach(item => {
-      if (item.length > 3) {
-        itemToHsMap[item] = hsCode;
-      }
-    });
-    
-    itemToHsMap[description.toLowerCase()] = hsCode;
+// Every API route needs a key; admin-only routes also check the key's role
+app.use('/api', authenticate);
+
+// Regulation documents are parsed straight from memory and only written to disk once processed
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SUPPORTED_DOCUMENT_TYPES.includes(extension)) {
+      return cb(new Error(`Unsupported document type: ${extension || file.originalname}. Supported types: ${SUPPORTED_DOCUMENT_TYPES.join(', ')}`));
+    }
+    cb(null, true);
   }
-  
-  return { hsCodesData, itemToHsMap };
-}
+});
 
-// Updated function to generate embeddings with parallel processing
-async function generatePdfEmbeddings() {
-  try {
-    if (fs.existsSync(EMBEDDINGS_PATH) && fs.existsSync(ITEM_TO_HS_PATH)) {
-      console.log('Embeddings files already exist. Using existing data.');
-      const embeddingsData = JSON.parse(fs.readFileSync(EMBEDDINGS_PATH, 'utf8'));
-      const itemToHsMap = JSON.parse(fs.readFileSync(ITEM_TO_HS_PATH, 'utf8'));
-      return { ...embeddingsData, itemToHsMap };
-    }
-
-    console.log('Generating embeddings from PDF...');
-    
-    const dataBuffer = fs.readFileSync(PDF_PATH);
-    const pdfData = await pdfParse(dataBuffer);
-    const pdfText = pdfData.text;
-    
-    console.log('Extracted PDF Text length:', pdfText.length); 
-    
-    const { hsCodesData, itemToHsMap } = extractHSCodes(pdfText);
-    
-    fs.writeFileSync(ITEM_TO_HS_PATH, JSON.stringify(itemToHsMap, null, 2));
-    console.log('Item to HS code mapping saved to file.');
-    
-    const chunkSize = 1000;
-    const textChunks = [];
-    
-    const paragraphs = pdfText.split('\n\n');
-    let currentChunk = '';
-    
-    for (const paragraph of paragraphs) {
-      if ((currentChunk + paragraph).length > chunkSize) {
-        if (currentChunk.length > 0) {
-          textChunks.push(currentChunk.trim());
-          currentChunk = '';
-        }
-        
-        if (paragraph.length > chunkSize) {
-          const words = paragraph.split(' ');
-          let subChunk = '';
-          
-          for (const word of words) {
-            if ((subChunk + ' ' + word).length > chunkSize) {
-              textChunks.push(subChunk.trim());
-              subChunk = word;
-            } else {
-              subChunk += ' ' + word;
-            }
-          }
-          
-          if (subChunk.length > 0) {
-            currentChunk = subChunk.trim();
-          }
-        } else {
-          currentChunk = paragraph;
-        }
-      } else {
-        currentChunk += '\n\n' + paragraph;
-      }
+// Shipment manifests can be posted as a CSV file instead of a JSON items array
+const manifestUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.csv') {
+      return cb(new Error('The manifest must be a .csv file'));
     }
-    
-    if (currentChunk.length > 0) {
-      textChunks.push(currentChunk.trim());
-    }
-    
-    // Create a worker pool
-    const pool = workerpool.pool(path.join(__dirname, 'worker.js'));
-    
-    console.log(`Generating embeddings for ${textChunks.length} chunks...`);
-    
-    // Track progress
-    let completed = 0;
-    const total = textChunks.length;
-    
-    // Generate embeddings in parallel
-    const embeddingPromises = textChunks.map(async (chunk, index) => {
-      try {
-        const embedding = await pool.exec('generateEmbedding', [chunk]);
-        completed++;
-        if (completed % 10 === 0) {
-          console.log(`Processed ${completed} out of ${total} chunks`);
-        }
-        return { id: index, content: chunk, embedding };
-      } catch (error) {
-        console.error(`Error generating embedding for chunk ${index}:`, error);
-        return null;
-      }
-    });
-    
-    const results = await Promise.all(embeddingPromises);
-    
-    const successfulChunks = results.filter(result => result !== null);
-    
-    if (successfulChunks.length < textChunks.length) {
-      console.warn(`Some chunks failed to generate embeddings. Processed ${successfulChunks.length} out of ${textChunks.length} chunks.`);
-    }
-    
-    const embeddingsDatabase = {
-      chunks: successfulChunks,
-      hsCodesData: hsCodesData
-    };
-    
-    fs.writeFileSync(EMBEDDINGS_PATH, JSON.stringify(embeddingsDatabase, null, 2));
-    console.log('Embeddings saved to file.');
-    
-    // Terminate the worker pool
-    await pool.terminate();
-    
-    return { ...embeddingsDatabase, itemToHsMap };
-  } catch (error) {
-    console.error('Error generating embeddings:', error);
-    throw error;
+    cb(null, true);
   }
+});
+
+// Loaded databases, keyed by jurisdiction id
+const databases = {};
+
+// Background job types that rebuild or patch a jurisdiction's database; only one may run per jurisdiction
+const REGENERATION_JOB = 'regenerate-embeddings';
+const RETRY_FAILED_JOB = 'retry-failed-embeddings';
+const DOCUMENT_UPLOAD_JOB = 'document-upload';
+
+function findActiveDatabaseJob(jurisdiction) {
+  return findActiveJob(REGENERATION_JOB, jurisdiction.id) ||
+    findActiveJob(RETRY_FAILED_JOB, jurisdiction.id) ||
+    findActiveJob(DOCUMENT_UPLOAD_JOB, jurisdiction.id);
 }
 
-// Remaining functions (unchanged)
-async function findRelevantContent(query, embeddingsDatabase) {
-  try {
-    const queryEmbedResult = await embeddingModel.embedContent({
-      content: { parts: [{ text: query }] },
-    });
-    
-    const queryEmbedding = queryEmbedResult.embedding.values;
-    
-    const similarityScores = embeddingsDatabase.chunks.map(item => {
-      const similarity = cosineSimilarity(queryEmbedding, item.embedding);
-      return { ...item, similarity };
-    });
-    
-    const topResults = similarityScores
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, 5);
-    
-    return topResults.map(item => item.content).join('\n\n');
-  } catch (error) {
-    console.error('Error finding relevant content:', error);
-    throw error;
-  }
+function emptyDatabase() {
+  return {
+    chunks: [],
+    hsCodesData: {},
+    itemToHsMap: {}
+  };
 }
 
-function findHSCodeByItemName(itemName, itemToHsMap) {
-  const normalizedItemName = itemName.toLowerCase().trim();
-  
-  if (itemToHsMap[normalizedItemName]) {
-    return itemToHsMap[normalizedItemName];
-  }
-  
-  const itemKeys = Object.keys(itemToHsMap);
-  
-  const containsMatch = itemKeys.find(key => key.includes(normalizedItemName));
-  if (containsMatch) {
-    return itemToHsMap[containsMatch];
-  }
-  
-  const isContainedMatch = itemKeys.find(key => normalizedItemName.includes(key) && key.length > 5);
-  if (isContainedMatch) {
-    return itemToHsMap[isContainedMatch];
-  }
-  
-  return null;
+function getDatabase(jurisdiction) {
+  return databases[jurisdiction.id] || emptyDatabase();
 }
 
-async function checkHSCodeCompliance(hsCode, embeddingsDatabase) {
-  if (embeddingsDatabase.hsCodesData && embeddingsDatabase.hsCodesData[hsCode]) {
-    const hsData = embeddingsDatabase.hsCodesData[hsCode];
-    return {
-      exists: true,
-      allowed: hsData.policy.toLowerCase() === 'free',
-      policy: hsData.policy,
-      description: hsData.description
-    };
-  }
-  
-  if (hsCode.length >= 4) {
-    const chapter = hsCode.substring(0, 4);
-    const twoDigitChapter = hsCode.substring(0, 2);
-    
-    const matchingCodes = Object.keys(embeddingsDatabase.hsCodesData || {})
-      .filter(code => code.startsWith(chapter) || code.startsWith(twoDigitChapter));
-    
-    if (matchingCodes.length > 0) {
-      const policies = matchingCodes.map(code => embeddingsDatabase.hsCodesData[code].policy);
-      
-      if (policies.some(policy => policy.toLowerCase() === 'free')) {
-        return {
-          exists: true,
-          allowed: true,
-          policy: 'Free',
-          description: `Falls under chapter ${chapter} which has some free categories`
-        };
-      } else {
-        return {
-          exists: true,
-          allowed: false,
-          policy: policies[0],
-          description: `Falls under chapter ${chapter} which has no free categories`
-        };
-      }
+// Make a database live; the search indexes are built now rather than on the first search
+function setDatabase(jurisdiction, database) {
+  buildSearchIndex(database.hsCodesData || {});
+  buildItemIndex(database.itemToHsMap || {});
+  databases[jurisdiction.id] = database;
+}
+
+// The codes to check against: the live database, or the version named by version or in effect on asOf.
+// Returns { database, version } or { statusCode, error }
+function resolveComplianceDatabase(jurisdiction, { asOf, version } = {}) {
+  const liveDatabase = getDatabase(jurisdiction);
+
+  if (version !== undefined && version !== null && version !== '') {
+    const snapshot = loadVersion(jurisdiction, version);
+    if (!snapshot) {
+      return { statusCode: 404, error: `Unknown version for ${jurisdiction.id}: ${version}` };
     }
+    return { database: { ...liveDatabase, hsCodesData: snapshot.hsCodesData, itemToHsMap: snapshot.itemToHsMap }, version: describeVersion(snapshot) };
   }
-  
-  try {
-    const prompt = `Given HS code ${hsCode} that wasn't found in our database, provide a reason why this code might not be recognized. Limit your response to one short paragraph.`;
-    
-    const result = await model.generateContent({
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: { maxOutputTokens: 100 }
-    });
-    
-    const dynamicReason = result.response.text();
-    
-    return {
-      exists: false,
-      allowed: false,
-      reason: dynamicReason
-    };
-  } catch (error) {
-    console.error('Error generating dynamic reason:', error);
-    return {
-      exists: false,
-      allowed: false,
-      reason: `The HS Code ${hsCode} was not found in the export compliance regulations. Please verify the code and try again.`
-    };
+
+  if (asOf !== undefined && asOf !== null && asOf !== '') {
+    const date = parseDate(asOf);
+    if (!date) {
+      return { statusCode: 400, error: `Invalid asOf date: ${asOf}. Use an ISO date such as 2024-03-31` };
+    }
+    const snapshot = findVersionAsOf(jurisdiction, date);
+    if (!snapshot) {
+      return { statusCode: 404, error: `No ${jurisdiction.id} version was in effect on ${date.toISOString().substring(0, 10)}` };
+    }
+    return { database: { ...liveDatabase, hsCodesData: snapshot.hsCodesData, itemToHsMap: snapshot.itemToHsMap }, version: describeVersion(snapshot) };
   }
-}
 
-function cosineSimilarity(vecA, vecB) {
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-  
-  normA = Math.sqrt(normA);
-  normB = Math.sqrt(normB);
-  
-  return dotProduct / (normA * normB);
+  return { database: liveDatabase, version: null };
 }
 
-// Initialize embeddings database
-let embeddingsDatabase = {
-  chunks: [],
-  hsCodesData: {},
-  itemToHsMap: {}
-};
+// Resolve the :jurisdiction route segment to a registered dataset
+app.param('jurisdiction', (req, res, next, id) => {
+  const jurisdiction = getJurisdiction(id);
+
+  if (!jurisdiction) {
+    return res.status(404).json({
+      status: false,
+      error: `Unknown jurisdiction: ${id}. Available jurisdictions: ${listJurisdictions().map(j => j.id).join(', ')}`
+    });
+  }
+
+  req.jurisdiction = jurisdiction;
+  next();
+});
+
+// API endpoint to list the registered jurisdictions
+app.get('/api/jurisdictions', (req, res) => {
+  return res.json({
+    status: true,
+    jurisdictions: listJurisdictions().map(jurisdiction => {
+      const database = getDatabase(jurisdiction);
+      return {
+        id: jurisdiction.id,
+        name: jurisdiction.name,
+        country: jurisdiction.country,
+        direction: jurisdiction.direction,
+        policies: jurisdiction.policies,
+        allowedPolicy: jurisdiction.allowedPolicy,
+        chunksCount: database.chunks.length,
+        hsCodesCount: Object.keys(database.hsCodesData || {}).length,
+        failedChunksCount: (database.failedChunks || []).length
+      };
+    })
+  });
+});
+
+// Check compliance of a single item against a jurisdiction's rules
+async function handleComplianceCheck(jurisdiction, req, res) {
+  const { direction, codeLabel } = jurisdiction;
 
-// API endpoints (unchanged)
-app.post('/api/check-export-compliance', async (req, res) => {
   try {
-    const { hsCode, itemWeight, material, itemName, itemManufacturer } = req.body;
-    
+    const { hsCode, itemWeight, material, port, unitPrice, documents, itemName, itemManufacturer, countryOfOrigin, asOf, version } = req.body;
+    const explainOrigin = req.body.explainOrigin === true || req.body.explainOrigin === 'true';
+    const resolved = resolveComplianceDatabase(jurisdiction, { asOf, version });
+
+    if (resolved.error) {
+      return res.status(resolved.statusCode).json({
+        status: false,
+        error: resolved.error
+      });
+    }
+
+    const embeddingsDatabase = resolved.database;
+    // Present only when the check ran against a stored version rather than the live database
+    const checkedVersion = resolved.version || undefined;
+
     if (!hsCode && !itemName) {
       return res.status(400).json({
         status: false,
         error: "Missing required fields. Please provide either hsCode or itemName"
       });
     }
-    
+
     let codeToCheck = hsCode;
-    
+
+    // If hsCode is not provided but itemName is, try to find the HS code
     if (!hsCode && itemName) {
       codeToCheck = findHSCodeByItemName(itemName, embeddingsDatabase.itemToHsMap);
-      
+
       if (!codeToCheck) {
         return res.json({
           status: false,
           allowed: false,
-          reason: `Could not find an HS code matching item name: ${itemName}. Please provide a valid HS code.`
+          jurisdiction: jurisdiction.id,
+          version: checkedVersion,
+          reason: `Could not find an ${codeLabel} code matching item name: ${itemName}. Please provide a valid ${codeLabel} code.`
         });
       }
     }
-    
-    const hsCodeCompliance = await checkHSCodeCompliance(codeToCheck, embeddingsDatabase);
-    
+
+    const hsCodeCompliance = await checkHSCodeCompliance(codeToCheck, embeddingsDatabase, jurisdiction);
+
     if (!hsCodeCompliance.exists) {
       return res.json({
         status: false,
         allowed: false,
+        jurisdiction: jurisdiction.id,
+        version: checkedVersion,
         reason: hsCodeCompliance.reason,
         queriedHsCode: codeToCheck,
         queriedItemName: itemName || null
       });
     }
-    
-    if (hsCodeCompliance.allowed) {
-      return res.json({
+
+    const conditionCheck = evaluateCodeConditions(hsCodeCompliance, {
+      itemWeight,
+      material,
+      port,
+      unitPrice,
+      documents
+    });
+
+    // Origin-specific measures come from the jurisdiction's rules table, so the verdict does not depend on model output
+    const originCheck = jurisdiction.checkCountryOfOrigin && countryOfOrigin
+      ? evaluateOriginMeasures(codeToCheck, countryOfOrigin, jurisdiction, {
+        date: parseDate(asOf) || undefined,
+        manufacturer: itemManufacturer,
+        documents
+      })
+      : null;
+    const originBlocked = Boolean(originCheck && originCheck.blocked);
+
+    if (conditionCheck.allowed && !originBlocked) {
+      const response = {
         status: true,
         allowed: true,
+        jurisdiction: jurisdiction.id,
+        version: checkedVersion,
         hsCode: codeToCheck,
         policy: hsCodeCompliance.policy,
         description: hsCodeCompliance.description,
-        conditions: "Standard export conditions apply",
+        inferredFrom: hsCodeCompliance.inferredFrom || null,
+        conditions: hsCodeCompliance.policyCondition || jurisdiction.defaultConditions,
+        policyConditions: conditionCheck.conditions,
+        conditionSummary: conditionCheck.summary,
         queriedItemName: itemName || null
-      });
+      };
+
+      // Measures on the country of origin, with a free-text explanation only when asked for
+      if (jurisdiction.checkCountryOfOrigin) {
+        response.originMeasures = originCheck;
+        response.countryRestriction = countryOfOrigin && explainOrigin
+          ? await checkCountryRestriction(codeToCheck, hsCodeCompliance.description, countryOfOrigin, jurisdiction)
+          : null;
+      }
+
+      return res.json(response);
     } else {
+      const verb = direction.charAt(0).toUpperCase() + direction.slice(1);
+      let reason;
+      if (!hsCodeCompliance.allowed) {
+        reason = `${verb} not allowed for ${codeLabel} Code ${codeToCheck} with policy ${hsCodeCompliance.policy}`;
+      } else if (!conditionCheck.allowed) {
+        reason = `${verb} not allowed for ${codeLabel} Code ${codeToCheck}: policy conditions not met (${conditionCheck.unmetConditions.map(condition => condition.detail).join('; ')})`;
+      } else {
+        reason = originBlockReason(originCheck, codeLabel, codeToCheck);
+      }
       return res.json({
         status: false,
         allowed: false,
+        jurisdiction: jurisdiction.id,
+        version: checkedVersion,
         hsCode: codeToCheck,
         policy: hsCodeCompliance.policy,
         description: hsCodeCompliance.description,
-        reason: `Export not allowed for HS Code ${codeToCheck} with policy ${hsCodeCompliance.policy}`,
+        inferredFrom: hsCodeCompliance.inferredFrom || null,
+        conditions: hsCodeCompliance.policyCondition || null,
+        policyConditions: conditionCheck.conditions,
+        conditionSummary: conditionCheck.summary,
+        originMeasures: jurisdiction.checkCountryOfOrigin ? originCheck : undefined,
+        reason,
         queriedItemName: itemName || null
       });
     }
-    
+
   } catch (error) {
-    console.error('Error checking export compliance:', error);
+    console.error(`Error checking ${direction} compliance:`, error);
     return res.status(500).json({
       status: false,
-      error: "An error occurred while checking export compliance"
+      error: `An error occurred while checking ${direction} compliance`
     });
   }
+}
+
+// API endpoint to check compliance (main API)
+app.post('/api/:jurisdiction/check-compliance', (req, res) => {
+  return handleComplianceCheck(req.jurisdiction, req, res);
+});
+
+// API endpoint to check a whole shipment manifest (JSON items array or CSV upload)
+app.post('/api/:jurisdiction/check-compliance/batch', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  manifestUpload.single('manifest')(req, res, bindRequestContext(async uploadError => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({
+          status: false,
+          error: uploadError.message
+        });
+      }
+
+      let items = req.body.items;
+
+      if (req.file) {
+        try {
+          items = parseManifestCsv(req.file.buffer.toString('utf8'));
+        } catch (error) {
+          return res.status(400).json({
+            status: false,
+            error: error.message
+          });
+        }
+      }
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          status: false,
+          error: "Missing required field: items (a non-empty array) or a manifest CSV file"
+        });
+      }
+
+      if (items.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({
+          status: false,
+          error: `A manifest can contain at most ${MAX_BATCH_ITEMS} items`
+        });
+      }
+
+      const resolved = resolveComplianceDatabase(jurisdiction, { asOf: req.body.asOf, version: req.body.version });
+      if (resolved.error) {
+        return res.status(resolved.statusCode).json({
+          status: false,
+          error: resolved.error
+        });
+      }
+
+      const explainUnknown = req.body.explainUnknown === true || req.body.explainUnknown === 'true';
+      const { summary, lines } = await checkManifest(items, jurisdiction, resolved.database, {
+        explainUnknown,
+        date: parseDate(req.body.asOf) || undefined
+      });
+
+      return res.json({
+        status: summary.allClear,
+        jurisdiction: jurisdiction.id,
+        version: resolved.version || undefined,
+        summary,
+        lines
+      });
+    } catch (error) {
+      console.error('Error checking manifest compliance:', error);
+      return res.status(500).json({
+        status: false,
+        error: `An error occurred while checking ${jurisdiction.direction} compliance for the manifest`
+      });
+    }
+  }));
+});
+
+// Routes kept from the separate export and import servers
+app.post('/api/check-export-compliance', (req, res) => {
+  return handleComplianceCheck(getJurisdiction('india-export'), req, res);
 });
 
-app.post('/api/find-by-description', (req, res) => {
+app.post('/api/check-import-compliance', (req, res) => {
+  return handleComplianceCheck(getJurisdiction('usa-import'), req, res);
+});
+
+// API endpoint to check an export leg and an import leg in one call
+app.post('/api/trade-lane', async (req, res) => {
   try {
-    const { description } = req.body;
-    
-    if (!description) {
+    const { hsCode, itemName, origin, destination, itemWeight, material, port, unitPrice, documents, itemManufacturer } = req.body;
+    const explainOrigin = req.body.explainOrigin === true || req.body.explainOrigin === 'true';
+
+    if ((!hsCode && !itemName) || !origin || !destination) {
       return res.status(400).json({
         status: false,
-        error: "Missing required field: description"
+        error: "Missing required fields. Please provide hsCode or itemName, plus origin and destination"
       });
     }
-    
-    const normalizedDescription = description.toLowerCase().trim();
-    
-    const hsCodesData = embeddingsDatabase.hsCodesData || {};
-    const matchingHsCode = Object.keys(hsCodesData).find(hsCode => 
-      hsCodesData[hsCode].description.toLowerCase() === normalizedDescription
-    );
-    
-    if (matchingHsCode) {
-      return res.json({
-        hsCode: matchingHsCode
+
+    const { exportJurisdiction, importJurisdiction } = findLaneJurisdictions(origin, destination);
+
+    if (!exportJurisdiction || !importJurisdiction) {
+      return res.status(400).json({
+        status: false,
+        error: `No trade lane from ${origin} to ${destination}. ` +
+          `Export rule sets: ${listJurisdictions().filter(j => j.direction === 'export').map(j => j.country).join(', ') || 'none'}; ` +
+          `import rule sets: ${listJurisdictions().filter(j => j.direction === 'import').map(j => j.country).join(', ') || 'none'}`
       });
     }
-    
-    const partialMatchHsCode = Object.keys(hsCodesData).find(hsCode => 
-      hsCodesData[hsCode].description.toLowerCase().includes(normalizedDescription) ||
-      normalizedDescription.includes(hsCodesData[hsCode].description.toLowerCase())
-    );
-    
-    if (partialMatchHsCode) {
+
+    const lane = await checkTradeLane({
+      hsCode,
+      itemName,
+      exportJurisdiction,
+      importJurisdiction,
+      getDatabase,
+      shipment: { itemWeight, material, port, unitPrice, documents, itemManufacturer },
+      options: { explainOrigin }
+    });
+
+    if (!lane) {
       return res.json({
-        status: true,
-        hsCode: partialMatchHsCode,
-        note: "Found via partial match"
+        status: false,
+        allowed: false,
+        reason: `Could not find an HS code matching item name: ${itemName}. Please provide a valid HS code.`
       });
     }
-    
+
     return res.json({
-      status: false,
-      error: "No matching HS code found for this description"
+      status: lane.allowed,
+      allowed: lane.allowed,
+      origin: exportJurisdiction.country,
+      destination: importJurisdiction.country,
+      hsCode: lane.hsCode,
+      blockingLeg: lane.blockingLeg,
+      blockingLegs: lane.blockingLegs,
+      legs: lane.legs,
+      queriedItemName: itemName || null
     });
-    
+
   } catch (error) {
-    console.error('Error finding HS code by description:', error);
+    console.error('Error checking trade lane:', error);
     return res.status(500).json({
       status: false,
-      error: "An error occurred while finding HS code"
+      error: "An error occurred while checking the trade lane"
     });
   }
 });
 
-app.get('/api/hs-codes', (req, res) => {
+// API endpoint to explain a verdict using the retrieved regulation text
+app.post('/api/:jurisdiction/explain-compliance', async (req, res) => {
+  const jurisdiction = req.jurisdiction;
+  const { direction, codeLabel } = jurisdiction;
+
   try {
-    if (!embeddingsDatabase.hsCodesData) {
+    const { hsCode, question, topK, minSimilarity } = req.body;
+    const embeddingsDatabase = getDatabase(jurisdiction);
+
+    if (!hsCode && !question) {
+      return res.status(400).json({
+        status: false,
+        error: "Missing required fields. Please provide either hsCode or question"
+      });
+    }
+
+    if (!embeddingsDatabase.chunks || embeddingsDatabase.chunks.length === 0) {
+      return res.status(404).json({
+        status: false,
+        error: "No embedded regulation chunks available. Please regenerate embeddings."
+      });
+    }
+
+    // Ground the query in the stored verdict so retrieval targets the right entry
+    let compliance = null;
+    let query = question;
+
+    if (hsCode) {
+      compliance = await checkHSCodeCompliance(hsCode, embeddingsDatabase, jurisdiction, { generateReason: false });
+      const codeContext = compliance.exists
+        ? `${hsCode} ${compliance.description} ${compliance.policy}`
+        : hsCode;
+      query = question
+        ? `${question}\n${codeContext}`
+        : `${direction} policy for ${codeLabel} code ${codeContext}`;
+    }
+
+    const limit = Math.min(Math.max(parseInt(topK, 10) || 5, 1), 20);
+    const threshold = minSimilarity === undefined ? -1 : parseFloat(minSimilarity);
+    const relevantChunks = await findRelevantContent(query, embeddingsDatabase, limit, Number.isNaN(threshold) ? -1 : threshold);
+
+    if (relevantChunks.length === 0) {
       return res.status(404).json({
         status: false,
-        error: "HS Codes data not found. Please regenerate embeddings."
+        error: `No regulation excerpts reached the minimum similarity of ${threshold}`
       });
     }
-    
+
+    const context = relevantChunks
+      .map(chunk => `[Chunk ${chunk.id}]\n${chunk.content}`)
+      .join('\n\n');
+
+    const verdictText = compliance && compliance.exists
+      ? `Our database lists ${codeLabel} code ${hsCode} as "${compliance.policy}" (${compliance.description}).`
+      : '';
+
+    const prompt = `You are a ${jurisdiction.name} compliance assistant. Answer the question using only the regulation excerpts below.
+Cite every excerpt you rely on by its id in square brackets, e.g. [Chunk 12].
+If the excerpts do not answer the question, say so instead of guessing.
+${verdictText}
+
+Question: ${question || `Why does ${codeLabel} code ${hsCode} have this ${direction} policy, and what conditions apply?`}
+
+Regulation excerpts:
+${context}`;
+
+    // Offline, answer with the retrieved excerpts themselves, cited the same way
+    const offlineText = [
+      verdictText || `No language model is configured; the most relevant regulation excerpts are listed below.`,
+      ...relevantChunks.map(chunk => `[Chunk ${chunk.id}] ${chunk.content.substring(0, 300)}`)
+    ].join('\n\n');
+    const answer = await generateText(prompt, 500, { offlineText, purpose: 'explain-compliance' });
+
+    const citedIds = new Set();
+    const citationRegex = /\[Chunk ([0-9a-f]+)\]/gi;
+    let citation;
+    while ((citation = citationRegex.exec(answer)) !== null) {
+      citedIds.add(citation[1].toLowerCase());
+    }
+
     return res.json({
       status: true,
-      count: Object.keys(embeddingsDatabase.hsCodesData).length,
-      hsCodes: embeddingsDatabase.hsCodesData
+      jurisdiction: jurisdiction.id,
+      query,
+      answer,
+      hsCode: hsCode || null,
+      policy: compliance && compliance.exists ? compliance.policy : null,
+      allowed: compliance ? compliance.allowed : null,
+      citedChunkIds: [...citedIds],
+      sources: relevantChunks.map(chunk => ({
+        id: chunk.id,
+        similarity: chunk.similarity,
+        cited: citedIds.has(String(chunk.id)),
+        content: chunk.content
+      }))
     });
+
   } catch (error) {
-    console.error('Error retrieving HS codes:', error);
+    console.error('Error explaining compliance:', error);
     return res.status(500).json({
       status: false,
-      error: "An error occurred while retrieving HS codes"
+      error: "An error occurred while explaining compliance"
     });
   }
 });
 
-app.get('/api/item-to-hs-mapping', (req, res) => {
+// API endpoint to find HS code by item name
+app.post('/api/:jurisdiction/find-hs-code', async (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
   try {
-    if (!embeddingsDatabase.itemToHsMap) {
-      return res.status(404).json({
+    const { itemName, limit, minScore, useEmbeddings } = req.body;
+    const embeddingsDatabase = getDatabase(jurisdiction);
+
+    if (!itemName) {
+      return res.status(400).json({
         status: false,
-        error: "Item to HS code mapping not found. Please regenerate embeddings."
+        error: "Missing required field: itemName"
       });
     }
-    
-    return res.json({
-      status: true,
-      count: Object.keys(embeddingsDatabase.itemToHsMap).length,
-      mapping: embeddingsDatabase.itemToHsMap
+
+    // Scores run from 0 to 1; a value that is not a number would filter out every candidate
+    const scoreThreshold = typeof minScore === 'number' || (typeof minScore === 'string' && minScore.trim() !== '')
+      ? Number(minScore)
+      : NaN;
+    if (minScore !== undefined && !(scoreThreshold >= 0 && scoreThreshold <= 1)) {
+      return res.status(400).json({
+        status: false,
+        error: "minScore must be a number between 0 and 1"
+      });
+    }
+
+    // Embedding similarity is only possible once code descriptions have been embedded
+    let queryEmbedding = null;
+    if (useEmbeddings !== false && embeddingsDatabase.descriptionEmbeddings) {
+      try {
+        queryEmbedding = await embedText(itemName, { purpose: 'find-hs-code' });
+      } catch (error) {
+        console.error('Error embedding item name, ranking by text only:', error);
+      }
+    }
+
+    const candidates = rankHSCodeCandidates(itemName, embeddingsDatabase, {
+      limit: Math.min(Math.max(parseInt(limit, 10) || 5, 1), 50),
+      minScore: minScore !== undefined ? scoreThreshold : undefined,
+      queryEmbedding
     });
+
+    if (candidates.length > 0) {
+      const [bestCandidate] = candidates;
+
+      return res.json({
+        status: true,
+        itemName,
+        hsCode: bestCandidate.hsCode,
+        description: bestCandidate.description,
+        policy: bestCandidate.policy,
+        usedEmbeddings: queryEmbedding !== null,
+        candidates
+      });
+    } else {
+      return res.json({
+        status: false,
+        itemName,
+        candidates: [],
+        error: `No matching ${jurisdiction.codeLabel} code found for this item name`
+      });
+    }
+
   } catch (error) {
-    console.error('Error retrieving item to HS mapping:', error);
+    console.error('Error finding HS code by item name:', error);
     return res.status(500).json({
       status: false,
-      error: "An error occurred while retrieving item to HS mapping"
+      error: `An error occurred while finding ${jurisdiction.codeLabel} code`
     });
   }
 });
 
-app.post('/api/regenerate-embeddings', async (req, res) => {
+// API endpoint to classify a free-text product description into ranked HS codes
+app.post('/api/:jurisdiction/classify', async (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
   try {
-    if (fs.existsSync(EMBEDDINGS_PATH)) {
-      fs.unlinkSync(EMBEDDINGS_PATH);
+    const { description, material, itemWeight, topK, useAI } = req.body;
+    const itemManufacturer = req.body.itemManufacturer || req.body.manufacturer;
+
+    if (!description || !String(description).trim()) {
+      return res.status(400).json({
+        status: false,
+        error: "Missing required field: description"
+      });
     }
-    
-    if (fs.existsSync(ITEM_TO_HS_PATH)) {
-      fs.unlinkSync(ITEM_TO_HS_PATH);
+
+    const classification = await classifyProduct(
+      { description: String(description), material, itemManufacturer, itemWeight },
+      getDatabase(jurisdiction),
+      jurisdiction,
+      {
+        topK: Math.min(Math.max(parseInt(topK, 10) || 5, 1), 20),
+        useAI: useAI === true
+      }
+    );
+
+    if (classification.candidates.length === 0) {
+      return res.json({
+        status: false,
+        jurisdiction: jurisdiction.id,
+        error: `No ${jurisdiction.codeLabel} codes could be matched to this description`,
+        candidates: []
+      });
     }
-    
-    embeddingsDatabase = await generatePdfEmbeddings();
-    
-    res.json({
-      success: true,
-      message: "Embeddings and item mapping regenerated successfully",
-      chunksCount: embeddingsDatabase.chunks.length,
-      hsCodesCount: Object.keys(embeddingsDatabase.hsCodesData || {}).length,
-      itemMappingsCount: Object.keys(embeddingsDatabase.itemToHsMap || {}).length
+
+    const [bestCandidate] = classification.candidates;
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      productText: classification.productText,
+      method: classification.method,
+      hsCode: bestCandidate.hsCode,
+      confidence: bestCandidate.confidence,
+      justification: classification.aiChoice ? classification.aiChoice.justification : null,
+      candidates: classification.candidates
     });
+
   } catch (error) {
-    console.error('Error regenerating embeddings:', error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to regenerate embeddings"
+    console.error('Error classifying product description:', error);
+    return res.status(500).json({
+      status: false,
+      error: `An error occurred while classifying the product into ${jurisdiction.codeLabel} codes`
     });
   }
 });
 
-// Initialize server
-async function initServer() {
+// API endpoint to find HS code by description
+app.post('/api/:jurisdiction/find-by-description', (req, res) => {
   try {
-    embeddingsDatabase = await generatePdfEmbeddings();
-    
-    app.listen(port, () => {
-      console.log(`Export compliance API server running on port ${port}`);
-      console.log(`Loaded ${embeddingsDatabase.chunks?.length || 0} embedded chunks from PDF`);
-      console.log(`Extracted ${Object.keys(embeddingsDatabase.hsCodesData || {}).length} HS codes from PDF`);
-      console.log(`Created ${Object.keys(embeddingsDatabase.itemToHsMap || {}).length} item to HS code mappings`);
+    const { description } = req.body;
+
+    if (!description) {
+      return res.status(400).json({
+        status: false,
+        error: "Missing required field: description"
+      });
+    }
+
+    const normalizedDescription = description.toLowerCase().trim();
+
+    // Search through the HS codes data
+    const hsCodesData = getDatabase(req.jurisdiction).hsCodesData || {};
+    const matchingHsCode = Object.keys(hsCodesData).find(hsCode =>
+      hsCodesData[hsCode].description.toLowerCase() === normalizedDescription
+    );
+
+    if (matchingHsCode) {
+      return res.json({
+        status: true,
+        hsCode: matchingHsCode
+      });
+    }
+
+    // If no exact match, try partial match
+    const partialMatchHsCode = Object.keys(hsCodesData).find(hsCode =>
+      hsCodesData[hsCode].description.toLowerCase().includes(normalizedDescription) ||
+      normalizedDescription.includes(hsCodesData[hsCode].description.toLowerCase())
+    );
+
+    if (partialMatchHsCode) {
+      return res.json({
+        status: true,
+        hsCode: partialMatchHsCode,
+        note: "Found via partial match"
+      });
+    }
+
+    return res.json({
+      status: false,
+      error: "No matching HS code found for this description"
+    });
+
+  } catch (error) {
+    console.error('Error finding HS code by description:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while finding HS code"
+    });
+  }
+});
+
+// API endpoint to get all HS codes in the database
+app.get('/api/:jurisdiction/hs-codes', (req, res) => {
+  const { codeLabel } = req.jurisdiction;
+
+  try {
+    const embeddingsDatabase = getDatabase(req.jurisdiction);
+
+    if (!embeddingsDatabase.hsCodesData) {
+      return res.status(404).json({
+        status: false,
+        error: `${codeLabel} Codes data not found. Please regenerate embeddings.`
+      });
+    }
+
+    return res.json({
+      status: true,
+      count: Object.keys(embeddingsDatabase.hsCodesData).length,
+      hsCodes: embeddingsDatabase.hsCodesData
+    });
+  } catch (error) {
+    console.error('Error retrieving HS codes:', error);
+    return res.status(500).json({
+      status: false,
+      error: `An error occurred while retrieving ${codeLabel} codes`
+    });
+  }
+});
+
+// API endpoint to search the code catalogue by description keywords, with policy, chapter/prefix and extraction
+// method filters (extractedBy=ai lists the AI-derived codes awaiting review), sorting and cursor pagination
+app.get('/api/:jurisdiction/hs-codes/search', (req, res) => {
+  const { codeLabel } = req.jurisdiction;
+
+  try {
+    const { q, policy, chapter, prefix, extractedBy, sort, order, limit, cursor } = req.query;
+    let results;
+    try {
+      results = searchCodes(getDatabase(req.jurisdiction).hsCodesData || {}, { q, policy, chapter, prefix, extractedBy, sort, order, limit, cursor });
+    } catch (error) {
+      return res.status(400).json({
+        status: false,
+        error: error.message
+      });
+    }
+
+    return res.json({
+      status: true,
+      jurisdiction: req.jurisdiction.id,
+      ...results
+    });
+  } catch (error) {
+    console.error('Error searching HS codes:', error);
+    return res.status(500).json({
+      status: false,
+      error: `An error occurred while searching ${codeLabel} codes`
+    });
+  }
+});
+
+// API endpoint to count codes and mapped item terms under each of a jurisdiction's policies, optionally within chapters
+app.get('/api/:jurisdiction/policies', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  try {
+    const { hsCodesData = {}, itemToHsMap = {} } = getDatabase(jurisdiction);
+    const { termsByCode } = buildItemIndex(itemToHsMap);
+    const chapters = String(req.query.chapter || '').split(',').map(chapter => chapter.trim()).filter(Boolean).map(chapter => chapter.padStart(2, '0'));
+
+    const policies = jurisdiction.policies.map(policy => ({ policy, allowed: jurisdiction.isAllowed(policy), codesCount: 0, itemsCount: 0 }));
+    Object.entries(hsCodesData).forEach(([hsCode, entry]) => {
+      if (chapters.length > 0 && !chapters.includes(hsCode.substring(0, 2))) return;
+
+      let summary = policies.find(candidate => candidate.policy.toLowerCase() === entry.policy.toLowerCase());
+      if (!summary) {
+        summary = { policy: entry.policy, allowed: jurisdiction.isAllowed(entry.policy), codesCount: 0, itemsCount: 0 };
+        policies.push(summary);
+      }
+      summary.codesCount++;
+      summary.itemsCount += (termsByCode.get(hsCode) || []).length;
+    });
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      chapters,
+      policies
+    });
+  } catch (error) {
+    console.error('Error summarizing policies:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while summarizing policies"
+    });
+  }
+});
+
+// API endpoint for reverse lookup: the codes under a policy, with the item terms mapped to them.
+// Takes the search filters (chapter, prefix, q matching descriptions or item terms), sorting and cursor pagination
+app.get('/api/:jurisdiction/policies/:policy/codes', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  try {
+    const policy = jurisdiction.policies.find(candidate => candidate.toLowerCase() === req.params.policy.toLowerCase());
+    if (!policy) {
+      return res.status(400).json({
+        status: false,
+        error: `Unknown policy: ${req.params.policy}. ${jurisdiction.name} policies: ${jurisdiction.policies.join(', ')}`
+      });
+    }
+
+    const { hsCodesData = {}, itemToHsMap = {} } = getDatabase(jurisdiction);
+    const { q, chapter, prefix, extractedBy, sort, order, limit, cursor } = req.query;
+    let results;
+    try {
+      results = searchCodes(hsCodesData, { q, policy, chapter, prefix, extractedBy, sort, order, limit, cursor, itemToHsMap });
+    } catch (error) {
+      return res.status(400).json({
+        status: false,
+        error: error.message
+      });
+    }
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      policy,
+      allowed: jurisdiction.isAllowed(policy),
+      ...results
+    });
+  } catch (error) {
+    console.error('Error looking up codes by policy:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while looking up codes by policy"
+    });
+  }
+});
+
+// API endpoint to list the chapters of a jurisdiction's HS tree
+app.get('/api/:jurisdiction/hierarchy/chapters', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  try {
+    const chapters = listChapters(getDatabase(jurisdiction).hsCodesData || {}, jurisdiction);
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      count: chapters.length,
+      chapters
+    });
+  } catch (error) {
+    console.error('Error listing HS chapters:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while listing HS chapters"
+    });
+  }
+});
+
+// API endpoint to browse a chapter: the chapter node and its headings
+app.get('/api/:jurisdiction/hierarchy/chapters/:chapter', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+  const { chapter } = req.params;
+
+  try {
+    const hsCodesData = getDatabase(jurisdiction).hsCodesData || {};
+    const node = /^\d{2}$/.test(chapter) ? getNode(hsCodesData, chapter) : null;
+
+    if (!node) {
+      return res.status(404).json({
+        status: false,
+        error: `Chapter ${chapter} not found in the ${jurisdiction.codeLabel} codes`
+      });
+    }
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      chapter: getAncestry(hsCodesData, chapter, jurisdiction)[0],
+      headings: getChildren(hsCodesData, chapter, jurisdiction)
+    });
+  } catch (error) {
+    console.error('Error browsing HS chapter:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while browsing the HS chapter"
+    });
+  }
+});
+
+// API endpoint to list the children of a chapter, heading or subheading
+app.get('/api/:jurisdiction/hierarchy/:code/children', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+  const { code } = req.params;
+
+  try {
+    const children = getChildren(getDatabase(jurisdiction).hsCodesData || {}, code, jurisdiction);
+
+    if (!children) {
+      return res.status(404).json({
+        status: false,
+        error: `${jurisdiction.codeLabel} code ${code} not found in the hierarchy`
+      });
+    }
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      code,
+      level: levelName(code),
+      count: children.length,
+      children
+    });
+  } catch (error) {
+    console.error('Error listing HS children:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while listing HS code children"
+    });
+  }
+});
+
+// API endpoint to get the chapter-to-line ancestry of a code
+app.get('/api/:jurisdiction/hierarchy/:code/ancestry', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+  const { code } = req.params;
+
+  try {
+    const ancestry = getAncestry(getDatabase(jurisdiction).hsCodesData || {}, code, jurisdiction);
+
+    if (ancestry.length === 0) {
+      return res.status(404).json({
+        status: false,
+        error: `No chapter, heading or subheading of ${jurisdiction.codeLabel} code ${code} is in the database`
+      });
+    }
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      code,
+      listed: ancestry[ancestry.length - 1].code === code,
+      ancestry
+    });
+  } catch (error) {
+    console.error('Error getting HS ancestry:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while getting the HS code ancestry"
+    });
+  }
+});
+
+app.get('/api/:jurisdiction/item-to-hs-mapping', (req, res) => {
+  try {
+    const embeddingsDatabase = getDatabase(req.jurisdiction);
+
+    if (!embeddingsDatabase.itemToHsMap) {
+      return res.status(404).json({
+        status: false,
+        error: "Item to HS code mapping not found. Please regenerate embeddings."
+      });
+    }
+
+    return res.json({
+      status: true,
+      count: Object.keys(embeddingsDatabase.itemToHsMap).length,
+      mapping: embeddingsDatabase.itemToHsMap
+    });
+  } catch (error) {
+    console.error('Error retrieving item to HS mapping:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while retrieving item to HS mapping"
+    });
+  }
+});
+
+// Endpoint to add a PDF or DOCX regulation document to the active dataset
+app.post('/api/:jurisdiction/documents', requireRole('admin'), (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  documentUpload.single('document')(req, res, bindRequestContext(async uploadError => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({
+          status: false,
+          error: uploadError.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          status: false,
+          error: "Missing required file field: document"
+        });
+      }
+
+      // A running rebuild read the document list before this upload and would drop it when it swaps in
+      const activeJob = findActiveDatabaseJob(jurisdiction);
+      if (activeJob) {
+        return res.status(409).json({
+          status: false,
+          error: `A ${activeJob.type} job for ${jurisdiction.id} is in progress; upload the document once job ${activeJob.id} has finished`
+        });
+      }
+
+      // The upload runs as a job so a rebuild requested meanwhile is refused instead of dropping the document;
+      // the request still waits for it and answers with the result
+      const job = startJob(DOCUMENT_UPLOAD_JOB, jurisdiction.id, async ({ signal }) => {
+        const result = await addDocumentToDatabase(
+          jurisdiction,
+          getDatabase(jurisdiction),
+          req.file.buffer,
+          req.file.originalname,
+          { signal }
+        );
+
+        setDatabase(jurisdiction, result.database);
+        notifyVersionChanges(jurisdiction, result.version.id);
+        return {
+          document: result.document,
+          version: result.version,
+          chunksCount: result.database.chunks.length,
+          hsCodesCount: Object.keys(result.database.hsCodesData || {}).length,
+          itemMappingsCount: Object.keys(result.database.itemToHsMap || {}).length
+        };
+      });
+      await job.finished;
+
+      if (job.status === 'cancelled') {
+        return res.status(409).json({
+          status: false,
+          error: `Upload job ${job.id} was cancelled; ${req.file.originalname} was not added to the dataset`,
+          jobId: job.id
+        });
+      }
+
+      if (job.status !== 'succeeded') {
+        return res.status(500).json({
+          status: false,
+          error: "An error occurred while adding the regulation document",
+          jobId: job.id
+        });
+      }
+
+      const { document, version, chunksCount, hsCodesCount, itemMappingsCount } = job.result;
+      return res.json({
+        status: true,
+        jurisdiction: jurisdiction.id,
+        message: "Document added to the active dataset",
+        document,
+        version,
+        chunksCount,
+        hsCodesCount,
+        itemMappingsCount
+      });
+    } catch (error) {
+      console.error('Error adding regulation document:', error);
+      return res.status(500).json({
+        status: false,
+        error: "An error occurred while adding the regulation document"
+      });
+    }
+  }));
+});
+
+// API endpoint to list the documents behind a jurisdiction's dataset
+app.get('/api/:jurisdiction/documents', (req, res) => {
+  const embeddingsDatabase = getDatabase(req.jurisdiction);
+
+  return res.json({
+    status: true,
+    jurisdiction: req.jurisdiction.id,
+    // The unparsed lines and validation issues themselves are in the extraction and validation reports
+    documents: (embeddingsDatabase.documents || []).map(({ extraction, validation, ...document }) => {
+      if (extraction) {
+        const { unparsedLines, ...summary } = extraction;
+        document.extraction = summary;
+      }
+      if (validation) {
+        const { issues, ...summary } = validation;
+        document.validation = summary;
+      }
+      return document;
+    })
+  });
+});
+
+// API endpoint to report how each document's codes were extracted: the method, the rows that lacked a
+// recognisable policy and the lines that fitted no table row, so they can be checked against the source
+app.get('/api/:jurisdiction/extraction-report', (req, res) => {
+  const embeddingsDatabase = getDatabase(req.jurisdiction);
+  const documents = (embeddingsDatabase.documents || []).map(document => ({
+    fileName: document.fileName,
+    originalName: document.originalName,
+    hsCodesCount: document.hsCodesCount,
+    // Databases built before extraction reports have none
+    extraction: document.extraction || null
+  }));
+
+  return res.json({
+    status: true,
+    jurisdiction: req.jurisdiction.id,
+    totals: {
+      rows: documents.reduce((total, document) => total + (document.extraction ? document.extraction.rows : 0), 0),
+      incompleteRows: documents.reduce((total, document) => total + (document.extraction ? document.extraction.incompleteRows.length : 0), 0),
+      unparsedLines: documents.reduce((total, document) => total + (document.extraction ? document.extraction.unparsedLinesCount || 0 : 0), 0)
+    },
+    documents
+  });
+});
+
+// API endpoint to report the validation issues found in each document's extracted codes and in the merged database:
+// malformed codes, conflicting duplicates, unknown policies, empty descriptions and AI entries missing from the source
+app.get('/api/:jurisdiction/validation-report', (req, res) => {
+  const embeddingsDatabase = getDatabase(req.jurisdiction);
+  const { severity, type } = req.query;
+
+  if (severity && !['error', 'warning'].includes(severity)) {
+    return res.status(400).json({
+      status: false,
+      error: "severity must be error or warning"
+    });
+  }
+  if (type && !ISSUE_SEVERITIES[type]) {
+    return res.status(400).json({
+      status: false,
+      error: `Unknown issue type: ${type}. Supported types: ${Object.keys(ISSUE_SEVERITIES).join(', ')}`
+    });
+  }
+
+  const matches = issue => (!severity || issue.severity === severity) && (!type || issue.type === type);
+  const database = validateDatabaseCodes(embeddingsDatabase.hsCodesData, req.jurisdiction);
+
+  return res.json({
+    status: true,
+    jurisdiction: req.jurisdiction.id,
+    filters: { severity: severity || null, type: type || null },
+    database: { ...database, issues: database.issues.filter(matches) },
+    documents: (embeddingsDatabase.documents || []).map(document => ({
+      fileName: document.fileName,
+      originalName: document.originalName,
+      // Documents processed before validation was added have no report until the next regeneration
+      validation: document.validation
+        ? { ...document.validation, issues: document.validation.issues.filter(matches) }
+        : null
+    }))
+  });
+});
+
+// API endpoint to list the origin-specific measures in a jurisdiction's rules table, optionally for one country,
+// or to evaluate them for a country and code (with asOf for a past date)
+app.get('/api/:jurisdiction/origin-rules', (req, res) => {
+  try {
+    const jurisdiction = req.jurisdiction;
+    const rules = loadOriginRules(jurisdiction);
+    const { country: countryInput, hsCode, asOf } = req.query;
+
+    if (!rules) {
+      return res.status(404).json({
+        status: false,
+        error: `${jurisdiction.name} has no country-of-origin rules`
+      });
+    }
+
+    const date = parseDate(asOf);
+    if (asOf && !date) {
+      return res.status(400).json({
+        status: false,
+        error: `Invalid asOf date: ${asOf}. Use an ISO date such as 2024-03-31`
+      });
+    }
+
+    const country = countryInput ? resolveCountry(countryInput, rules) : null;
+    if (countryInput && !country) {
+      return res.status(404).json({
+        status: false,
+        error: `Unknown country: ${countryInput}. Supported countries: ${Object.keys(rules.countries).join(', ')}`
+      });
+    }
+
+    if (hsCode) {
+      if (!country) {
+        return res.status(400).json({
+          status: false,
+          error: "country is required when hsCode is given"
+        });
+      }
+      return res.json({
+        status: true,
+        jurisdiction: jurisdiction.id,
+        hsCode,
+        ...evaluateOriginMeasures(hsCode, country.code, jurisdiction, { date: date || undefined })
+      });
+    }
+
+    const matchingRules = rules.rules.filter(rule =>
+      !country || (rule.countries || []).length === 0 || rule.countries.includes(country.code)
+    );
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      notice: rules.notice || null,
+      country,
+      countries: Object.entries(rules.countries).map(([code, entry]) => ({ code, name: entry.name })),
+      rulesCount: matchingRules.length,
+      rules: matchingRules
+    });
+  } catch (error) {
+    console.error('Error listing origin rules:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while listing origin rules"
+    });
+  }
+});
+
+// Endpoint to force regeneration of embeddings; the rebuild runs as a background job
+app.post('/api/:jurisdiction/regenerate-embeddings', requireRole('admin'), (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  try {
+    const activeJob = findActiveDatabaseJob(jurisdiction);
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${activeJob.type} job for ${jurisdiction.id} is already in progress`,
+        jobId: activeJob.id,
+        statusUrl: `/api/jobs/${activeJob.id}`
+      });
+    }
+
+    // The rebuild is recorded as a new version; effectiveDate is when the regulation took effect
+    const { versionName, effectiveDate } = req.body || {};
+    if (effectiveDate && !parseDate(effectiveDate)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid effectiveDate: ${effectiveDate}. Use an ISO date such as 2024-03-31`
+      });
+    }
+
+    const job = startJob(REGENERATION_JOB, jurisdiction.id, async ({ signal, reportProgress }) => {
+      const { database: embeddingsDatabase, changes, version } = await regenerateEmbeddings(jurisdiction, getDatabase(jurisdiction), {
+        signal,
+        onProgress: reportProgress,
+        version: { name: versionName, effectiveDate }
+      });
+
+      // The current database stays live until the rebuilt one has been saved
+      setDatabase(jurisdiction, embeddingsDatabase);
+      const webhookDeliveries = notifyVersionChanges(jurisdiction, version.id);
+
+      return {
+        changes,
+        version,
+        webhookDeliveries: webhookDeliveries.map(delivery => delivery.id),
+        chunksCount: embeddingsDatabase.chunks.length,
+        hsCodesCount: Object.keys(embeddingsDatabase.hsCodesData || {}).length,
+        itemMappingsCount: Object.keys(embeddingsDatabase.itemToHsMap || {}).length
+      };
+    });
+
+    return res.status(202).json({
+      success: true,
+      jurisdiction: jurisdiction.id,
+      message: "Regeneration started",
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('Error starting regeneration:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to start regenerating embeddings"
+    });
+  }
+});
+
+// API endpoint to report the chunks and code descriptions that could not be embedded
+app.get('/api/:jurisdiction/failed-chunks', (req, res) => {
+  const embeddingsDatabase = getDatabase(req.jurisdiction);
+  const failedChunks = embeddingsDatabase.failedChunks || [];
+
+  return res.json({
+    status: true,
+    jurisdiction: req.jurisdiction.id,
+    failedChunksCount: failedChunks.length,
+    failedChunks: failedChunks.map(({ id, source, error, attempts, failedAt, content }) => ({
+      id,
+      source,
+      error,
+      attempts,
+      failedAt,
+      preview: content.substring(0, 200)
+    })),
+    failedDescriptions: embeddingsDatabase.failedDescriptions || []
+  });
+});
+
+// API endpoint to re-embed just the failed chunks and descriptions as a background job
+app.post('/api/:jurisdiction/failed-chunks/retry', requireRole('admin'), (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  try {
+    const activeJob = findActiveDatabaseJob(jurisdiction);
+    if (activeJob) {
+      return res.status(409).json({
+        status: false,
+        error: `A ${activeJob.type} job for ${jurisdiction.id} is already in progress`,
+        jobId: activeJob.id,
+        statusUrl: `/api/jobs/${activeJob.id}`
+      });
+    }
+
+    const embeddingsDatabase = getDatabase(jurisdiction);
+    if ((embeddingsDatabase.failedChunks || []).length === 0 && (embeddingsDatabase.failedDescriptions || []).length === 0) {
+      return res.json({
+        status: true,
+        jurisdiction: jurisdiction.id,
+        message: "No failed chunks or descriptions to retry"
+      });
+    }
+
+    const job = startJob(RETRY_FAILED_JOB, jurisdiction.id, async ({ signal, reportProgress }) => {
+      const { database, report } = await retryFailedEmbeddings(jurisdiction, getDatabase(jurisdiction), {
+        signal,
+        onProgress: reportProgress
+      });
+
+      setDatabase(jurisdiction, database);
+      return report;
+    });
+
+    return res.status(202).json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      message: "Retry started",
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('Error starting failed chunk retry:', error);
+    return res.status(500).json({
+      status: false,
+      error: "Failed to start retrying failed chunks"
+    });
+  }
+});
+
+// API endpoint to list the recorded versions of a jurisdiction's code database, oldest first
+app.get('/api/:jurisdiction/versions', (req, res) => {
+  try {
+    return res.json({
+      status: true,
+      jurisdiction: req.jurisdiction.id,
+      versions: listVersions(req.jurisdiction)
+    });
+  } catch (error) {
+    console.error('Error listing versions:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while listing versions"
+    });
+  }
+});
+
+// API endpoint to diff two versions; "to" defaults to the latest and "from" to the version before "to"
+app.get('/api/:jurisdiction/versions/diff', (req, res) => {
+  const jurisdiction = req.jurisdiction;
+
+  try {
+    const versions = listVersions(jurisdiction);
+    const toId = req.query.to || (versions.length > 0 ? versions[versions.length - 1].id : null);
+    const toPosition = versions.findIndex(version => version.id === String(toId));
+    const fromId = req.query.from || (toPosition > 0 ? versions[toPosition - 1].id : null);
+
+    if (!toId || !fromId) {
+      return res.status(400).json({
+        status: false,
+        error: "At least two versions are needed for a diff; pass from and to version ids"
+      });
+    }
+
+    const fromVersion = loadVersion(jurisdiction, fromId);
+    const toVersion = loadVersion(jurisdiction, toId);
+    const missing = [[fromId, fromVersion], [toId, toVersion]].filter(([, version]) => !version).map(([id]) => id);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        status: false,
+        error: `Unknown version for ${jurisdiction.id}: ${missing.join(', ')}`
+      });
+    }
+
+    return res.json({
+      status: true,
+      jurisdiction: jurisdiction.id,
+      ...diffVersions(fromVersion, toVersion)
+    });
+  } catch (error) {
+    console.error('Error diffing versions:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while comparing versions"
+    });
+  }
+});
+
+// API endpoint to fetch one version with the codes it recorded
+app.get('/api/:jurisdiction/versions/:version', (req, res) => {
+  try {
+    const version = loadVersion(req.jurisdiction, req.params.version);
+
+    if (!version) {
+      return res.status(404).json({
+        status: false,
+        error: `Unknown version for ${req.jurisdiction.id}: ${req.params.version}`
+      });
+    }
+
+    return res.json({
+      status: true,
+      jurisdiction: req.jurisdiction.id,
+      version: describeVersion(version),
+      hsCodes: version.hsCodesData
+    });
+  } catch (error) {
+    console.error('Error fetching version:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while fetching the version"
+    });
+  }
+});
+
+// API endpoint to subscribe to code changes; the response is the only time the signing secret is shown
+app.post('/api/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const { url, jurisdiction } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        status: false,
+        error: "Missing required field: url"
+      });
+    }
+
+    if (jurisdiction && !getJurisdiction(jurisdiction)) {
+      return res.status(400).json({
+        status: false,
+        error: `Unknown jurisdiction: ${jurisdiction}. Available jurisdictions: ${listJurisdictions().map(j => j.id).join(', ')}`
+      });
+    }
+
+    let webhook;
+    try {
+      webhook = createWebhook(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        status: false,
+        error: error.message
+      });
+    }
+
+    return res.status(201).json({
+      status: true,
+      webhook: { ...describeWebhook(webhook), secret: webhook.secret }
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while creating the webhook"
+    });
+  }
+});
+
+// API endpoint to list webhook subscriptions, without their secrets
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  return res.json({
+    status: true,
+    events: WEBHOOK_EVENTS,
+    webhooks: listWebhooks().map(describeWebhook)
+  });
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+  if (!deleteWebhook(req.params.id)) {
+    return res.status(404).json({
+      status: false,
+      error: `Unknown webhook: ${req.params.id}`
+    });
+  }
+
+  return res.json({
+    status: true,
+    message: `Webhook ${req.params.id} deleted`
+  });
+});
+
+// API endpoint for a webhook's delivery log: each notification with its attempts, most recent first
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+  const webhook = getWebhook(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({
+      status: false,
+      error: `Unknown webhook: ${req.params.id}`
+    });
+  }
+
+  return res.json({
+    status: true,
+    webhook: describeWebhook(webhook),
+    deliveries: listDeliveries(webhook.id)
+  });
+});
+
+// API endpoint to issue an API key; the response is the only time the key itself is shown
+app.post('/api/keys', requireRole('admin'), (req, res) => {
+  try {
+    let created;
+    try {
+      created = createApiKey(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        status: false,
+        error: error.message
+      });
+    }
+
+    return res.status(201).json({
+      status: true,
+      apiKey: { ...describeApiKey(created.apiKey), key: created.key }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return res.status(500).json({
+      status: false,
+      error: "An error occurred while creating the API key"
+    });
+  }
+});
+
+// API endpoint to list API keys with their quotas and usage
+app.get('/api/keys', requireRole('admin'), (req, res) => {
+  return res.json({
+    status: true,
+    apiKeys: listApiKeys().map(describeApiKey)
+  });
+});
+
+app.get('/api/keys/:id', requireRole('admin'), (req, res) => {
+  const apiKey = getApiKey(req.params.id);
+
+  if (!apiKey) {
+    return res.status(404).json({
+      status: false,
+      error: `Unknown API key: ${req.params.id}`
+    });
+  }
+
+  return res.json({
+    status: true,
+    apiKey: describeApiKey(apiKey)
+  });
+});
+
+app.delete('/api/keys/:id', requireRole('admin'), (req, res) => {
+  if (!revokeApiKey(req.params.id)) {
+    return res.status(404).json({
+      status: false,
+      error: `Unknown or built-in API key: ${req.params.id}`
+    });
+  }
+
+  return res.json({
+    status: true,
+    message: `API key ${req.params.id} revoked`
+  });
+});
+
+// API endpoint for callers to check their own key's role, quotas and usage
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(404).json({
+      status: false,
+      error: "API authentication is disabled, so no usage is recorded"
+    });
+  }
+
+  return res.json({
+    status: true,
+    apiKey: describeApiKey(req.apiKey)
+  });
+});
+
+// API endpoint to report how the AI answer cache is doing: size, hits, misses, evictions and per-kind counts
+app.get('/api/ai-cache/stats', requireRole('admin'), (req, res) => {
+  return res.json({
+    status: true,
+    cache: cacheStats()
+  });
+});
+
+// API endpoint to empty the AI answer cache, or only the answers of one kind (?kind=unknown-code-reason)
+app.delete('/api/ai-cache', requireRole('admin'), (req, res) => {
+  try {
+    const removed = clearCache(req.query.kind);
+
+    return res.json({
+      status: true,
+      kind: req.query.kind || null,
+      removed
+    });
+  } catch (error) {
+    console.error('Error clearing the AI response cache:', error);
+    return res.status(500).json({
+      status: false,
+      error: "Failed to clear the AI response cache"
+    });
+  }
+});
+
+// API endpoint to list background jobs, most recent first
+app.get('/api/jobs', (req, res) => {
+  return res.json({
+    status: true,
+    jobs: listJobs().reverse().map(describeJob)
+  });
+});
+
+// API endpoint to check a background job's status and progress
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      status: false,
+      error: `Unknown job: ${req.params.id}`
+    });
+  }
+
+  return res.json({
+    status: true,
+    job: describeJob(job)
+  });
+});
+
+// API endpoint to cancel a queued or running job; a cancelled regeneration or upload leaves the current database in place
+app.post('/api/jobs/:id/cancel', requireRole('admin'), (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      status: false,
+      error: `Unknown job: ${req.params.id}`
+    });
+  }
+
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({
+      status: false,
+      error: `Job ${job.id} has already finished with status ${job.status}`,
+      job: describeJob(job)
+    });
+  }
+
+  return res.json({
+    status: true,
+    job: describeJob(job)
+  });
+});
+
+// Initialize server
+async function initServer() {
+  try {
+    // Load each jurisdiction in turn; one missing PDF should not take down the others
+    for (const jurisdiction of listJurisdictions()) {
+      try {
+        setDatabase(jurisdiction, await generatePdfEmbeddings(jurisdiction));
+      } catch (error) {
+        console.error(`Failed to load ${jurisdiction.id} database:`, error);
+        setDatabase(jurisdiction, emptyDatabase());
+      }
+    }
+
+    const pendingDeliveries = resumePendingDeliveries();
+    if (pendingDeliveries > 0) {
+      console.log(`Resuming ${pendingDeliveries} pending webhook deliveries`);
+    }
+
+    app.listen(port, () => {
+      console.log(`Compliance API server running on port ${port}`);
+      if (AUTH_DISABLED) {
+        console.warn('API_AUTH=disabled: every route, including rebuilds and uploads, is open without an API key.');
+      } else if (!process.env.ADMIN_TOKEN && listApiKeys().length === 0) {
+        console.warn('No API keys exist and ADMIN_TOKEN is not set, so every API request will be rejected. Set ADMIN_TOKEN and create keys with POST /api/keys.');
+      }
+      listJurisdictions().forEach(jurisdiction => {
+        const embeddingsDatabase = databases[jurisdiction.id];
+        console.log(`[${jurisdiction.id}] Loaded ${embeddingsDatabase.chunks?.length || 0} embedded chunks from PDF`);
+        console.log(`[${jurisdiction.id}] Extracted ${Object.keys(embeddingsDatabase.hsCodesData || {}).length} ${jurisdiction.codeLabel} codes from PDF`);
+        console.log(`[${jurisdiction.id}] Created ${Object.keys(embeddingsDatabase.itemToHsMap || {}).length} item to ${jurisdiction.codeLabel} code mappings`);
+      });
     });
   } catch (error) {
     console.error('Failed to initialize server:', error);
@@ -518,4 +1748,4 @@ async function initServer() {
 }
 
 // Start the server
-initServer();
\ No newline at end of file
+initServer();
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+// Finished jobs are kept for status queries until this many newer jobs have been created
+const MAX_RETAINED_JOBS = parseInt(process.env.MAX_RETAINED_JOBS, 10) || 100;
+
+const jobs = new Map();
+
+class JobCancelledError extends Error {
+  constructor(message = 'Job cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(job => !['queued', 'running'].includes(job.status));
+  finished
+    .slice(0, Math.max(0, jobs.size - MAX_RETAINED_JOBS))
+    .forEach(job => jobs.delete(job.id));
+}
+
+// Seconds left in the current phase, extrapolated from its rate so far
+function estimateSecondsRemaining(progress, phaseStartedAt) {
+  if (!progress.total || !progress.processed || progress.processed >= progress.total) {
+    return null;
+  }
+  const elapsed = (Date.now() - phaseStartedAt) / 1000;
+  return Math.round((elapsed / progress.processed) * (progress.total - progress.processed));
+}
+
+// Public view of a job, safe to return from the API
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    jurisdiction: job.jurisdiction,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    cancelRequested: job.controller.signal.aborted,
+    progress: {
+      ...job.progress,
+      percent: job.progress.total ? Math.round((job.progress.processed / job.progress.total) * 100) : null,
+      etaSeconds: job.status === 'running' ? estimateSecondsRemaining(job.progress, job.phaseStartedAt) : null
+    },
+    result: job.result,
+    error: job.error
+  };
+}
+
+// Start run(context) in the background and return the job; context carries the abort signal and a progress callback.
+// job.finished settles when the run does, for callers that wait for the result instead of polling
+function startJob(type, jurisdictionId, run) {
+  const controller = new AbortController();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    jurisdiction: jurisdictionId,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    phaseStartedAt: Date.now(),
+    progress: { phase: 'queued', processed: 0, total: 0, failed: 0 },
+    result: null,
+    error: null,
+    controller
+  };
+
+  // Counts restart with each phase that reports a total; short phases like saving keep the last counts
+  const reportProgress = update => {
+    if (update.phase && update.phase !== job.progress.phase) {
+      job.phaseStartedAt = Date.now();
+      if (update.total !== undefined) {
+        job.progress = { phase: update.phase, processed: 0, total: 0, failed: 0 };
+      }
+    }
+    Object.assign(job.progress, update);
+  };
+
+  jobs.set(job.id, job);
+  pruneFinishedJobs();
+
+  // Defer so the caller can respond with the job id before any work starts
+  job.finished = new Promise(resolve => setImmediate(async () => {
+    if (controller.signal.aborted) return resolve(job);
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await run({ signal: controller.signal, reportProgress });
+      job.status = 'succeeded';
+    } catch (error) {
+      if (controller.signal.aborted) {
+        job.status = 'cancelled';
+      } else {
+        console.error(`Error in ${type} job ${job.id}:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      resolve(job);
+    }
+  }));
+
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// The queued or running job of a type for a jurisdiction, if any
+function findActiveJob(type, jurisdictionId) {
+  return [...jobs.values()].find(job =>
+    job.type === type &&
+    job.jurisdiction === jurisdictionId &&
+    ['queued', 'running'].includes(job.status)
+  ) || null;
+}
+
+function listJobs() {
+  return [...jobs.values()];
+}
+
+// Ask a job to stop; returns false if it has already finished
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || !['queued', 'running'].includes(job.status)) {
+    return false;
+  }
+
+  job.controller.abort(new JobCancelledError());
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+  }
+  return true;
+}
+
+module.exports = {
+  JobCancelledError,
+  startJob,
+  getJob,
+  findActiveJob,
+  listJobs,
+  cancelJob,
+  describeJob
+};
@@ -0,0 +1,91 @@
+const path = require('path');
+
+// Registry of compliance datasets, keyed by the id used in /api/:jurisdiction routes
+const jurisdictions = {};
+
+// Register a jurisdiction's dataset: source PDF, data files, extraction regex and policy rules
+function registerJurisdiction(config) {
+  const required = ['id', 'name', 'country', 'countryName', 'direction', 'pdfPath', 'embeddingsPath', 'itemToHsPath', 'hsCodeRegex', 'policies', 'allowedPolicy'];
+  const missing = required.filter(field => config[field] === undefined);
+
+  if (missing.length > 0) {
+    throw new Error(`Jurisdiction ${config.id || '(unnamed)'} is missing required fields: ${missing.join(', ')}`);
+  }
+
+  if (!config.hsCodeRegex.global) {
+    throw new Error(`Jurisdiction ${config.id} hsCodeRegex must use the global flag`);
+  }
+
+  jurisdictions[config.id] = {
+    codeLabel: 'HS',
+    regulationName: `${config.direction} compliance regulations`,
+    aiExtractionFallback: false,
+    // A tariff line's code cell, after dots and spaces are removed, for the layout-aware table extractor
+    tableCodePattern: /^\d{6,10}$/,
+    checkCountryOfOrigin: false,
+    // JSON table of origin-specific measures (embargoes, Section 301, AD/CVD, quotas) checked against countryOfOrigin
+    originRulesPath: null,
+    documentsDir: path.join(__dirname, 'documents', config.id),
+    versionsDir: path.join(__dirname, 'versions', config.id),
+    isAllowed: policy => policy.toLowerCase() === config.allowedPolicy.toLowerCase(),
+    ...config
+  };
+
+  return jurisdictions[config.id];
+}
+
+function getJurisdiction(id) {
+  return jurisdictions[id] || null;
+}
+
+function listJurisdictions() {
+  return Object.values(jurisdictions);
+}
+
+// Indian export policy (ITC-HS schedule 2), previously served by index.js
+registerJurisdiction({
+  id: 'india-export',
+  name: 'India export (ITC-HS)',
+  country: 'IN',
+  countryName: 'India',
+  direction: 'export',
+  codeLabel: 'HS',
+  regulationName: 'export compliance regulations',
+  pdfPath: path.join(__dirname, 'merged_pdf.pdf'),
+  embeddingsPath: path.join(__dirname, 'embeddings-database.json'),
+  itemToHsPath: path.join(__dirname, 'item-to-hs-mapping.json'),
+  hsCodeRegex: /(\d{8})\s+(.*?)(?:\s+)(Free|Restricted|Prohibited|Not Permitted)/gi,
+  tableCodePattern: /^\d{8}$/,
+  policies: ['Free', 'Restricted', 'Prohibited', 'Not Permitted'],
+  allowedPolicy: 'Free',
+  defaultConditions: 'Standard export conditions apply'
+});
+
+// US import regulations (HTS), previously served by usa.js
+registerJurisdiction({
+  id: 'usa-import',
+  name: 'USA import (HTS)',
+  country: 'US',
+  countryName: 'the United States',
+  direction: 'import',
+  codeLabel: 'HTS',
+  regulationName: 'USA import regulations',
+  pdfPath: path.join(__dirname, 'USA.pdf'),
+  embeddingsPath: path.join(__dirname, 'usa-embeddings-database.json'),
+  itemToHsPath: path.join(__dirname, 'usa-item-to-hs-mapping.json'),
+  hsCodeRegex: /(\d{8,10})\s+(.*?)(?:\s+)(Allowed|Restricted|Prohibited|Special License Required)/gi,
+  // HTS schedules print codes as 8471.30.01.00; dots and spaces are removed before matching
+  tableCodePattern: /^\d{8,10}$/,
+  policies: ['Allowed', 'Restricted', 'Prohibited', 'Special License Required'],
+  allowedPolicy: 'Allowed',
+  aiExtractionFallback: true,
+  checkCountryOfOrigin: true,
+  originRulesPath: path.join(__dirname, 'usa-origin-rules.json'),
+  defaultConditions: 'Standard import conditions apply'
+});
+
+module.exports = {
+  registerJurisdiction,
+  getJurisdiction,
+  listJurisdictions
+};
@@ -0,0 +1,216 @@
+const { cosineSimilarity } = require('./embeddings');
+
+// Words that appear in most tariff descriptions and say nothing about the product
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'or', 'nor', 'of', 'the', 'for', 'with', 'without', 'in', 'on', 'to', 'by',
+  'not', 'its', 'than', 'whether', 'other', 'including', 'excluding', 'thereof', 'etc'
+]);
+
+// Query tokens must be at least this similar to a vocabulary token to count as a typo match
+const MIN_FUZZY_SIMILARITY = 0.75;
+
+// Candidates scoring below this are not worth showing
+const DEFAULT_MIN_SCORE = 0.2;
+
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+// Edit distance between two strings, giving up once it exceeds maxDistance
+function levenshtein(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Similarity in [0, 1] between a query token and a vocabulary token, tolerating typos and prefixes
+function tokenSimilarity(queryToken, token) {
+  if (queryToken === token) return 1;
+
+  if (queryToken.length >= 3 && token.startsWith(queryToken)) {
+    return 0.9;
+  }
+
+  if (queryToken.length < 4) return 0;
+
+  const maxLength = Math.max(queryToken.length, token.length);
+  const maxDistance = Math.floor(maxLength * (1 - MIN_FUZZY_SIMILARITY));
+  const distance = levenshtein(queryToken, token, maxDistance);
+
+  return distance > maxDistance ? 0 : 1 - distance / maxLength;
+}
+
+// Token index over the item mapping terms, built once per mapping object
+const termIndexCache = new WeakMap();
+
+function getTermIndex(itemToHsMap) {
+  if (termIndexCache.has(itemToHsMap)) {
+    return termIndexCache.get(itemToHsMap);
+  }
+
+  const tokenToTerms = new Map();
+  const termTokens = new Map();
+
+  Object.keys(itemToHsMap).forEach(term => {
+    const tokens = [...new Set(tokenize(term))];
+    termTokens.set(term, tokens);
+    tokens.forEach(token => {
+      if (!tokenToTerms.has(token)) tokenToTerms.set(token, []);
+      tokenToTerms.get(token).push(term);
+    });
+  });
+
+  const index = { tokenToTerms, termTokens, vocabulary: [...tokenToTerms.keys()] };
+  termIndexCache.set(itemToHsMap, index);
+  return index;
+}
+
+// Score every mapping term that shares an exact or fuzzy token with the query
+function scoreLexicalMatches(query, itemToHsMap) {
+  const normalizedQuery = String(query).toLowerCase().trim();
+  const queryTokens = [...new Set(tokenize(normalizedQuery))];
+  const { tokenToTerms, termTokens, vocabulary } = getTermIndex(itemToHsMap);
+  const scores = new Map();
+
+  if (itemToHsMap[normalizedQuery]) {
+    scores.set(normalizedQuery, { exact: 1, tokenOverlap: 1, fuzzy: 1 });
+  }
+
+  if (queryTokens.length === 0) {
+    return scores;
+  }
+
+  // Match each query token against the vocabulary once rather than against every term
+  const candidateTerms = new Set();
+  queryTokens.forEach(queryToken => {
+    vocabulary.forEach(token => {
+      if (tokenSimilarity(queryToken, token) > 0) {
+        tokenToTerms.get(token).forEach(term => candidateTerms.add(term));
+      }
+    });
+  });
+
+  candidateTerms.forEach(term => {
+    if (scores.has(term)) return;
+
+    const tokens = termTokens.get(term);
+    const shared = queryTokens.filter(token => tokens.includes(token)).length;
+    const fuzzyCoverage = queryTokens.reduce((sum, queryToken) =>
+      sum + Math.max(...tokens.map(token => tokenSimilarity(queryToken, token))), 0) / queryTokens.length;
+
+    scores.set(term, {
+      exact: 0,
+      tokenOverlap: shared / (queryTokens.length + tokens.length - shared),
+      fuzzy: fuzzyCoverage
+    });
+  });
+
+  return scores;
+}
+
+function combineSignals({ exact, tokenOverlap, fuzzy, embedding }) {
+  if (exact) return 1;
+
+  // Fuzzy coverage rewards matching every query word; token overlap penalises long, loosely related terms
+  if (embedding === null) {
+    return 0.3 * tokenOverlap + 0.7 * fuzzy;
+  }
+
+  return 0.2 * tokenOverlap + 0.45 * fuzzy + 0.35 * Math.max(embedding, 0);
+}
+
+// Rank HS codes for an item name using exact, token-overlap, fuzzy and (optionally) embedding similarity
+function rankHSCodeCandidates(query, embeddingsDatabase, options = {}) {
+  const {
+    limit = 5,
+    minScore = DEFAULT_MIN_SCORE,
+    queryEmbedding = null
+  } = options;
+  const itemToHsMap = embeddingsDatabase.itemToHsMap || {};
+  const hsCodesData = embeddingsDatabase.hsCodesData || {};
+  const descriptionEmbeddings = queryEmbedding ? embeddingsDatabase.descriptionEmbeddings || null : null;
+
+  // Best lexical match per code
+  const candidates = new Map();
+  scoreLexicalMatches(query, itemToHsMap).forEach((signals, term) => {
+    const hsCode = itemToHsMap[term];
+    const current = candidates.get(hsCode);
+    const lexicalScore = combineSignals({ ...signals, embedding: null });
+
+    if (!current || lexicalScore > current.lexicalScore) {
+      candidates.set(hsCode, { hsCode, matchedTerm: term, lexicalScore, ...signals });
+    }
+  });
+
+  // Description embeddings can surface codes that share no words with the query
+  let similarityByDescription = null;
+  if (descriptionEmbeddings) {
+    similarityByDescription = new Map();
+    Object.entries(descriptionEmbeddings).forEach(([description, embedding]) => {
+      similarityByDescription.set(description, cosineSimilarity(queryEmbedding, embedding));
+    });
+
+    Object.keys(hsCodesData).forEach(hsCode => {
+      if (!candidates.has(hsCode)) {
+        candidates.set(hsCode, { hsCode, matchedTerm: null, lexicalScore: 0, exact: 0, tokenOverlap: 0, fuzzy: 0 });
+      }
+    });
+  }
+
+  const ranked = [];
+  candidates.forEach(candidate => {
+    const hsData = hsCodesData[candidate.hsCode];
+    const descriptionKey = hsData ? hsData.description.toLowerCase() : null;
+    const embedding = similarityByDescription && similarityByDescription.has(descriptionKey)
+      ? similarityByDescription.get(descriptionKey)
+      : null;
+
+    const signals = {
+      exact: candidate.exact,
+      tokenOverlap: candidate.tokenOverlap,
+      fuzzy: candidate.fuzzy,
+      embedding
+    };
+    const score = combineSignals(signals);
+
+    if (score >= minScore) {
+      ranked.push({
+        hsCode: candidate.hsCode,
+        description: hsData ? hsData.description : null,
+        policy: hsData ? hsData.policy : null,
+        score: Math.round(score * 10000) / 10000,
+        matchedTerm: candidate.matchedTerm,
+        signals
+      });
+    }
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || a.hsCode.localeCompare(b.hsCode))
+    .slice(0, limit);
+}
+
+module.exports = {
+  tokenize,
+  levenshtein,
+  rankHSCodeCandidates
+};
@@ -0,0 +1,75 @@
+// One-shot copy of every jurisdiction's JSON database files into the SQLite store.
+// Usage: node migrate-to-sqlite.js [--force]   (then run the server with STORAGE_BACKEND=sqlite)
+const { listJurisdictions } = require('./jurisdictions');
+const { createJsonStore, createSqliteStore } = require('./storage');
+
+function migrate({ force = false } = {}) {
+  const jsonStore = createJsonStore();
+  const sqliteStore = createSqliteStore();
+  let failures = 0;
+
+  try {
+    listJurisdictions().forEach(jurisdiction => {
+      if (!jsonStore.exists(jurisdiction)) {
+        console.log(`[${jurisdiction.id}] No JSON database files found, skipping.`);
+        return;
+      }
+
+      if (sqliteStore.exists(jurisdiction) && !force) {
+        console.log(`[${jurisdiction.id}] Already in ${sqliteStore.filePath}, skipping (use --force to overwrite).`);
+        return;
+      }
+
+      try {
+        const database = jsonStore.load(jurisdiction);
+        sqliteStore.save(jurisdiction, database);
+
+        // Read back what was written so a partial migration is noticed here rather than at boot
+        const migrated = sqliteStore.load(jurisdiction);
+        const counts = db => [
+          (db.chunks || []).length,
+          Object.keys(db.hsCodesData || {}).length,
+          Object.keys(db.itemToHsMap || {}).length,
+          Object.keys(db.descriptionEmbeddings || {}).length
+        ];
+        if (counts(migrated).join() !== counts(database).join()) {
+          throw new Error(`Row counts differ after migration: ${counts(database).join('/')} in JSON, ${counts(migrated).join('/')} in SQLite`);
+        }
+
+        // Version history goes along with the database; saving a version again replaces it
+        const versions = jsonStore.listVersions(jurisdiction);
+        versions.forEach(version => sqliteStore.saveVersion(jurisdiction, jsonStore.loadVersion(jurisdiction, version.id)));
+
+        const [chunks, hsCodes, itemMappings, descriptionEmbeddings] = counts(migrated);
+        console.log(`[${jurisdiction.id}] Migrated ${chunks} chunks, ${hsCodes} codes, ${itemMappings} item mappings, ${descriptionEmbeddings} description embeddings and ${versions.length} versions.`);
+      } catch (error) {
+        failures++;
+        console.error(`[${jurisdiction.id}] Error migrating to SQLite:`, error);
+      }
+    });
+
+    // Subscriptions and their deliveries, API keys and cached AI answers are not tied to a jurisdiction's database; copying one again replaces it
+    const webhooks = jsonStore.listWebhooks();
+    webhooks.forEach(webhook => sqliteStore.saveWebhook(webhook));
+    const webhookDeliveries = jsonStore.listWebhookDeliveries();
+    if (webhookDeliveries.length > 0) sqliteStore.replaceWebhookDeliveries(webhookDeliveries);
+    const apiKeys = jsonStore.listApiKeys();
+    apiKeys.forEach(apiKey => sqliteStore.saveApiKey(apiKey));
+    const cachedResponses = jsonStore.listCachedResponses();
+    if (cachedResponses.length > 0) sqliteStore.replaceCachedResponses(cachedResponses);
+    if (webhooks.length > 0 || webhookDeliveries.length > 0 || apiKeys.length > 0 || cachedResponses.length > 0) {
+      console.log(`Migrated ${webhooks.length} webhook subscriptions, ${webhookDeliveries.length} webhook deliveries, ${apiKeys.length} API keys and ${cachedResponses.length} cached AI responses.`);
+    }
+  } finally {
+    sqliteStore.close();
+  }
+
+  return failures;
+}
+
+if (require.main === module) {
+  const failures = migrate({ force: process.argv.includes('--force') });
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+module.exports = { migrate };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const { declaredDocuments } = require('./conditions');
+
+// Kinds of origin-specific measure a rules table can hold, and what each does to an entry
+const MEASURE_TYPES = ['embargo', 'section_301', 'ad_cvd', 'quota'];
+const MEASURE_EFFECTS = ['prohibit', 'additional_duty', 'cash_deposit', 'quota'];
+
+// Rules tables, read once per file
+const rulesCache = new Map();
+
+const compactCode = code => String(code || '').replace(/[.\s]/g, '');
+
+// Check a rules table when it is first loaded, so a bad entry fails loudly instead of silently never matching
+function validateRules(table, filePath) {
+  const countries = table.countries || {};
+  const problems = [];
+
+  (table.rules || []).forEach((rule, index) => {
+    const label = rule.id || `rule ${index + 1}`;
+    if (!rule.id) problems.push(`${label}: missing id`);
+    if (!MEASURE_TYPES.includes(rule.type)) problems.push(`${label}: unknown type ${rule.type}`);
+    if (!MEASURE_EFFECTS.includes(rule.effect)) problems.push(`${label}: unknown effect ${rule.effect}`);
+    if (!rule.reference) problems.push(`${label}: missing reference`);
+    (rule.countries || []).filter(code => !countries[code]).forEach(code => problems.push(`${label}: country ${code} is not in the countries table`));
+    (rule.hsPrefixes || []).filter(prefix => !/^\d+$/.test(compactCode(prefix))).forEach(prefix => problems.push(`${label}: invalid prefix ${prefix}`));
+    if (['additional_duty', 'cash_deposit'].includes(rule.effect) && typeof rule.rate !== 'number') {
+      problems.push(`${label}: ${rule.effect} needs a numeric rate`);
+    }
+    if (rule.type === 'embargo' && (rule.countries || []).length === 0) {
+      problems.push(`${label}: an embargo must name its countries`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid origin rules in ${filePath}: ${problems.join('; ')}`);
+  }
+}
+
+// A jurisdiction's origin rules table ({ countries, rules }), or null if it has none
+function loadOriginRules(jurisdiction) {
+  const filePath = jurisdiction.originRulesPath;
+  if (!filePath) {
+    return null;
+  }
+
+  if (!rulesCache.has(filePath)) {
+    const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validateRules(table, filePath);
+    rulesCache.set(filePath, table);
+  }
+  return rulesCache.get(filePath);
+}
+
+// Resolve a country given as an ISO code ("CN") or a name or alias ("People's Republic of China")
+function resolveCountry(input, table) {
+  const normalized = String(input || '').trim().toLowerCase();
+  if (!normalized) return null;
+
+  const entry = Object.entries(table.countries || {}).find(([code, country]) =>
+    code.toLowerCase() === normalized ||
+    country.name.toLowerCase() === normalized ||
+    (country.aliases || []).includes(normalized)
+  );
+  return entry ? { code: entry[0], name: entry[1].name } : null;
+}
+
+function isInEffect(rule, date) {
+  const time = date.getTime();
+  return (!rule.effectiveFrom || Date.parse(rule.effectiveFrom) <= time) &&
+    (!rule.effectiveTo || time < Date.parse(rule.effectiveTo) + 24 * 60 * 60 * 1000);
+}
+
+// The longest of a rule's prefixes the code starts with; an empty prefix list covers every code
+function matchedPrefix(rule, hsCode) {
+  const prefixes = (rule.hsPrefixes || []).map(compactCode);
+  if (prefixes.length === 0) return '';
+  const matches = prefixes.filter(prefix => hsCode.startsWith(prefix));
+  return matches.length > 0 ? matches.sort((a, b) => b.length - a.length)[0] : null;
+}
+
+// A matched rule as it appears in a compliance response
+function describeMeasure(rule, prefix, { manufacturer, documents }) {
+  const measure = {
+    id: rule.id,
+    type: rule.type,
+    effect: rule.effect,
+    blocking: rule.effect === 'prohibit',
+    reference: rule.reference,
+    description: rule.description || null,
+    matchedPrefix: prefix || null,
+    effectiveFrom: rule.effectiveFrom || null,
+    effectiveTo: rule.effectiveTo || null
+  };
+
+  if (rule.effect === 'additional_duty' || rule.effect === 'cash_deposit') {
+    // AD/CVD orders set rates per producer; everyone else pays the all-others (or country-wide) rate
+    const normalizedManufacturer = String(manufacturer || '').trim().toLowerCase();
+    const companyRate = normalizedManufacturer
+      ? (rule.companyRates || []).find(company => company.manufacturer.toLowerCase() === normalizedManufacturer)
+      : null;
+    measure.ratePercent = companyRate ? companyRate.rate : rule.rate;
+    measure.rateBasis = companyRate ? `company rate for ${companyRate.manufacturer}` : rule.type === 'ad_cvd' ? 'all others' : 'ad valorem';
+  }
+
+  if (rule.effect === 'quota') {
+    measure.quotaCategory = rule.quotaCategory || null;
+    measure.requiredDocument = rule.requiredDocument || null;
+    if (rule.documentType) {
+      measure.documentType = rule.documentType;
+      measure.documentProvided = declaredDocuments(documents).includes(rule.documentType.toLowerCase());
+    }
+  }
+
+  return measure;
+}
+
+// Evaluate the origin-specific measures on a code from a country, from the jurisdiction's rules table alone.
+// options: date (defaults to now), manufacturer (for company-specific AD/CVD rates) and documents (for quota certificates).
+// Returns null when the jurisdiction has no rules table
+function evaluateOriginMeasures(hsCode, countryOfOrigin, jurisdiction, options = {}) {
+  const table = loadOriginRules(jurisdiction);
+  if (!table) {
+    return null;
+  }
+
+  const date = options.date || new Date();
+  const country = resolveCountry(countryOfOrigin, table);
+  const result = {
+    countryOfOrigin: String(countryOfOrigin),
+    country,
+    checkedOn: date.toISOString().substring(0, 10),
+    blocked: false,
+    additionalDutyPercent: 0,
+    cashDepositPercent: 0,
+    measures: []
+  };
+
+  if (!country) {
+    result.note = `${countryOfOrigin} is not in the origin rules table, so no origin-specific measures could be checked`;
+    return result;
+  }
+
+  const code = compactCode(hsCode);
+  table.rules
+    .filter(rule => (rule.countries || []).length === 0 || rule.countries.includes(country.code))
+    .filter(rule => isInEffect(rule, date))
+    .forEach(rule => {
+      const prefix = matchedPrefix(rule, code);
+      if (prefix !== null) {
+        result.measures.push(describeMeasure(rule, prefix, options));
+      }
+    });
+
+  result.blocked = result.measures.some(measure => measure.blocking);
+  result.additionalDutyPercent = result.measures
+    .filter(measure => measure.effect === 'additional_duty')
+    .reduce((total, measure) => total + measure.ratePercent, 0);
+  result.cashDepositPercent = result.measures
+    .filter(measure => measure.effect === 'cash_deposit')
+    .reduce((total, measure) => total + measure.ratePercent, 0);
+
+  return result;
+}
+
+// The reason an entry is blocked by its origin, citing each prohibiting measure
+function originBlockReason(originCheck, codeLabel, hsCode) {
+  const prohibitions = originCheck.measures.filter(measure => measure.blocking);
+  return `Import not allowed for ${codeLabel} Code ${hsCode} from ${originCheck.country.name}: ` +
+    prohibitions.map(measure => `${measure.type.replace(/_/g, ' ')} (${measure.reference})`).join('; ');
+}
+
+module.exports = {
+  MEASURE_TYPES,
+  loadOriginRules,
+  resolveCountry,
+  evaluateOriginMeasures,
+  originBlockReason
+};
@@ -0,0 +1,132 @@
+const dotenv = require('dotenv');
+const path = require('path');
+const { createGeminiProvider } = require('./gemini');
+const { recordModelCall } = require('./request-context');
+
+// Load environment variables from .env file in the same directory (worker processes included)
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+// Which provider generates text and which embeds it: "gemini" or "local"
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || LLM_PROVIDER).toLowerCase();
+
+const LOCAL_EMBEDDING_DIMENSIONS = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS, 10) || 256;
+
+const LOCAL_DEFAULT_TEXT = 'No language model is configured (LLM_PROVIDER=local); this response was generated offline.';
+
+// 32-bit FNV-1a, enough to spread tokens across the embedding dimensions
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Deterministic offline provider: hashed bag-of-words embeddings and templated text
+function createLocalProvider(dimensions = LOCAL_EMBEDDING_DIMENSIONS) {
+  // Words and adjacent word pairs, hashed into a signed, L2-normalised vector
+  function embed(text) {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text).toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 1);
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+    features.forEach(feature => {
+      const hash = fnv1a(feature);
+      vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  return {
+    name: 'local',
+    textModel: 'local:templated',
+    embeddingModel: `local:hashed-bow-${dimensions}`,
+
+    // Callers pass the answer they would fall back to as options.offlineText
+    async generateText(prompt, maxOutputTokens, options = {}) {
+      return options.offlineText || LOCAL_DEFAULT_TEXT;
+    },
+
+    async embedText(text) {
+      return embed(text);
+    },
+
+    async embedTexts(texts) {
+      return texts.map(embed);
+    }
+  };
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider();
+    case 'local':
+      return createLocalProvider();
+    default:
+      throw new Error(`Unknown provider: ${name}. Supported providers: gemini, local`);
+  }
+}
+
+// Configured providers, created on first use
+let textProvider = null;
+let embeddingProvider = null;
+
+function getTextProvider() {
+  if (!textProvider) {
+    textProvider = createProvider(LLM_PROVIDER);
+  }
+  return textProvider;
+}
+
+function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    embeddingProvider = EMBEDDING_PROVIDER === LLM_PROVIDER ? getTextProvider() : createProvider(EMBEDDING_PROVIDER);
+  }
+  return embeddingProvider;
+}
+
+// Generate a text completion; options.offlineText is the templated answer offline providers return,
+// options.purpose labels the call in the calling API key's usage
+async function generateText(prompt, maxOutputTokens, options = {}) {
+  const provider = getTextProvider();
+  recordModelCall(provider.name, 'text', options.purpose);
+  return provider.generateText(prompt, maxOutputTokens, options);
+}
+
+async function embedText(text, options = {}) {
+  const provider = getEmbeddingProvider();
+  recordModelCall(provider.name, 'embedding', options.purpose);
+  return provider.embedText(text);
+}
+
+async function embedTexts(texts, options = {}) {
+  const provider = getEmbeddingProvider();
+  recordModelCall(provider.name, 'embedding', options.purpose);
+  return provider.embedTexts(texts);
+}
+
+// Identifies the text model, so cached answers from another model are not served
+function textModelId() {
+  return getTextProvider().textModel;
+}
+
+// Identifies the vector space, so databases built with another embedding provider can be detected
+function embeddingModelId() {
+  return getEmbeddingProvider().embeddingModel;
+}
+
+module.exports = {
+  LLM_PROVIDER,
+  EMBEDDING_PROVIDER,
+  createLocalProvider,
+  generateText,
+  embedText,
+  embedTexts,
+  textModelId,
+  embeddingModelId
+};
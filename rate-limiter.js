@@ -0,0 +1,145 @@
+const { LLM_PROVIDER, EMBEDDING_PROVIDER } = require('./providers');
+
+// Provider quotas shared by every embedding and extraction call the server makes through the worker pool
+const REQUESTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_RPM, 10) || 300;
+const TOKENS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_TPM, 10) || 1000000;
+
+// Attempts per chunk or batch before it is reported as failed, and the backoff between them
+const MAX_RETRIES = parseInt(process.env.RATE_LIMIT_MAX_RETRIES, 10) || 4;
+const BASE_BACKOFF_MS = parseInt(process.env.RATE_LIMIT_BASE_BACKOFF_MS, 10) || 1000;
+const MAX_BACKOFF_MS = parseInt(process.env.RATE_LIMIT_MAX_BACKOFF_MS, 10) || 30000;
+
+const WINDOW_MS = 60 * 1000;
+
+// Rough token count for quota purposes; providers bill close to four characters per token
+function estimateTokens(texts) {
+  return [].concat(texts).reduce((total, text) => total + Math.ceil(String(text).length / 4), 0);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Sliding one-minute window over requests and tokens; a 429 pauses every caller, not just the one that hit it
+function createRateLimiter({ requestsPerMinute = REQUESTS_PER_MINUTE, tokensPerMinute = TOKENS_PER_MINUTE } = {}) {
+  const window = [];
+  let resumeAt = 0;
+
+  function prune(now) {
+    while (window.length > 0 && window[0].time <= now - WINDOW_MS) {
+      window.shift();
+    }
+  }
+
+  return {
+    async acquire(tokens = 0, signal) {
+      for (;;) {
+        const now = Date.now();
+        prune(now);
+
+        if (now < resumeAt) {
+          await sleep(resumeAt - now, signal);
+          continue;
+        }
+
+        const tokensInWindow = window.reduce((total, entry) => total + entry.tokens, 0);
+        // A single request larger than the token budget is let through on an empty window rather than blocking forever
+        const fitsTokens = tokensInWindow + tokens <= tokensPerMinute || window.length === 0;
+
+        if (window.length < requestsPerMinute && fitsTokens) {
+          window.push({ time: now, tokens });
+          return;
+        }
+
+        await sleep(Math.max(window[0].time + WINDOW_MS - now, 10), signal);
+      }
+    },
+
+    pause(ms) {
+      resumeAt = Math.max(resumeAt, Date.now() + ms);
+    },
+
+    stats() {
+      prune(Date.now());
+      return {
+        requestsPerMinute,
+        tokensPerMinute,
+        requestsInWindow: window.length,
+        tokensInWindow: window.reduce((total, entry) => total + entry.tokens, 0),
+        pausedForMs: Math.max(0, resumeAt - Date.now())
+      };
+    }
+  };
+}
+
+// HTTP status of a provider error; worker errors arrive serialised, so fall back to the "[429 Too Many Requests]" message form
+function errorStatus(error) {
+  if (!error) return null;
+  if (typeof error.status === 'number') return error.status;
+  const match = String(error.message || '').match(/\[(\d{3})\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Rate limiting, server errors and dropped connections are worth another attempt; bad requests are not
+function isRetryableError(error) {
+  const status = errorStatus(error);
+  if (status !== null) {
+    return status === 429 || status === 408 || status >= 500;
+  }
+  return /ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|network/i.test(String(error && error.message));
+}
+
+function backoffDelay(attempt) {
+  const exponential = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  // Jitter keeps parallel retries from arriving together
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+// Run fn under the limiter, retrying retryable failures with exponential backoff; the error carries the attempt count
+async function withRetry(fn, { limiter, tokens = 0, maxRetries = MAX_RETRIES, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (limiter) await limiter.acquire(tokens, signal);
+
+    try {
+      return await fn();
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt);
+      if (limiter && errorStatus(error) === 429) {
+        limiter.pause(delay);
+      }
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// The limiter shared by the worker pools in this process; the local provider has no quota to respect
+const workerLimiter = LLM_PROVIDER === 'local' && EMBEDDING_PROVIDER === 'local'
+  ? createRateLimiter({ requestsPerMinute: Infinity, tokensPerMinute: Infinity })
+  : createRateLimiter();
+
+module.exports = {
+  estimateTokens,
+  createRateLimiter,
+  isRetryableError,
+  withRetry,
+  workerLimiter
+};
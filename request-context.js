@@ -0,0 +1,59 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Per-request state (the calling API key's usage) that code deep in a request can reach without threading it through
+const requestContext = new AsyncLocalStorage();
+
+// Run the rest of a request with its context; used by the authentication middleware
+function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+// Multer and other stream callbacks run outside the request's async context; bind them to keep it
+function bindRequestContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+// Inside a worker process there is no request context; model calls are reported to the main process instead
+let workerReporter = null;
+
+function reportModelCallsTo(reporter) {
+  workerReporter = reporter;
+}
+
+// Count a text or embedding call against the key that triggered it, e.g. "gemini.text" and "gemini.text.unknown-code-reason".
+// Calls made outside a request, such as the startup build, go unrecorded
+function recordModelCall(provider, kind, purpose = 'other') {
+  const context = requestContext.getStore();
+  if (!context && workerReporter) {
+    workerReporter({ provider, kind, purpose });
+    return;
+  }
+  if (!context || !context.usage) return;
+
+  const { modelCalls } = context.usage;
+  const total = `${provider}.${kind}`;
+  const detailed = `${total}.${purpose}`;
+  modelCalls.totals[total] = (modelCalls.totals[total] || 0) + 1;
+  modelCalls.byPurpose[detailed] = (modelCalls.byPurpose[detailed] || 0) + 1;
+  if (context.onUsageChange) context.onUsageChange();
+}
+
+// Run a worker pool task, counting the model calls the worker reports against the key of the request that started it
+function execInWorker(pool, method, params) {
+  return pool.exec(method, params, {
+    on: bindRequestContext(event => {
+      if (event && event.modelCall) {
+        const { provider, kind, purpose } = event.modelCall;
+        recordModelCall(provider, kind, purpose);
+      }
+    })
+  });
+}
+
+module.exports = {
+  runWithRequestContext,
+  bindRequestContext,
+  recordModelCall,
+  reportModelCallsTo,
+  execInWorker
+};
@@ -0,0 +1,268 @@
+const { tokenize } = require('./matching');
+
+// Page size when the caller does not ask for one, and the most a single page may hold
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Query words this long or longer also match description words they start with ("comput" finds "computers")
+const MIN_PREFIX_LENGTH = 3;
+
+// A prefix match counts for less than the whole word
+const PREFIX_MATCH_WEIGHT = 0.8;
+
+const SORT_FIELDS = ['relevance', 'code', 'description', 'policy'];
+
+// How a code was extracted, as recorded in its provenance; codes from databases built before provenance count as unknown
+const EXTRACTION_METHODS = ['layout', 'regex', 'ai', 'unknown'];
+
+// Inverted index from description words to codes, built once per hsCodesData object
+const searchIndexCache = new WeakMap();
+
+function buildSearchIndex(hsCodesData) {
+  if (searchIndexCache.has(hsCodesData)) {
+    return searchIndexCache.get(hsCodesData);
+  }
+
+  const postings = new Map();
+  Object.entries(hsCodesData).forEach(([hsCode, entry]) => {
+    new Set(tokenize(entry.description)).forEach(token => {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token).push(hsCode);
+    });
+  });
+
+  const index = {
+    postings,
+    // Sorted, so the words sharing a prefix form one contiguous run
+    vocabulary: [...postings.keys()].sort(),
+    codeCount: Object.keys(hsCodesData).length
+  };
+  searchIndexCache.set(hsCodesData, index);
+  return index;
+}
+
+// Item mapping terms grouped by the code they point at, with an inverted index over their words; built once per itemToHsMap object
+const itemIndexCache = new WeakMap();
+
+function buildItemIndex(itemToHsMap) {
+  if (itemIndexCache.has(itemToHsMap)) {
+    return itemIndexCache.get(itemToHsMap);
+  }
+
+  const termsByCode = new Map();
+  const postingSets = new Map();
+  Object.entries(itemToHsMap).forEach(([term, hsCode]) => {
+    if (!termsByCode.has(hsCode)) termsByCode.set(hsCode, []);
+    termsByCode.get(hsCode).push(term);
+    tokenize(term).forEach(token => {
+      if (!postingSets.has(token)) postingSets.set(token, new Set());
+      postingSets.get(token).add(hsCode);
+    });
+  });
+
+  const postings = new Map([...postingSets].map(([token, codes]) => [token, [...codes]]));
+  const index = {
+    termsByCode,
+    postings,
+    vocabulary: [...postings.keys()].sort(),
+    codeCount: termsByCode.size
+  };
+  itemIndexCache.set(itemToHsMap, index);
+  return index;
+}
+
+// Vocabulary words starting with prefix, found by binary search over the sorted vocabulary
+function wordsWithPrefix(vocabulary, prefix) {
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (vocabulary[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+
+  const words = [];
+  for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+    words.push(vocabulary[i]);
+  }
+  return words;
+}
+
+// Codes whose descriptions contain every query word (whole or as a prefix), scored by inverse document frequency
+function scoreQuery(query, index) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) {
+    return null;
+  }
+
+  const idf = token => Math.log(1 + index.codeCount / index.postings.get(token).length);
+  let scores = null;
+
+  queryTokens.forEach(queryToken => {
+    const tokenScores = new Map();
+    const matches = queryToken.length >= MIN_PREFIX_LENGTH
+      ? wordsWithPrefix(index.vocabulary, queryToken)
+      : (index.postings.has(queryToken) ? [queryToken] : []);
+
+    matches.forEach(word => {
+      const weight = idf(word) * (word === queryToken ? 1 : PREFIX_MATCH_WEIGHT);
+      index.postings.get(word).forEach(hsCode => {
+        tokenScores.set(hsCode, Math.max(tokenScores.get(hsCode) || 0, weight));
+      });
+    });
+
+    // Intersect with the codes matching the earlier words
+    if (scores === null) {
+      scores = tokenScores;
+    } else {
+      const combined = new Map();
+      tokenScores.forEach((score, hsCode) => {
+        if (scores.has(hsCode)) combined.set(hsCode, scores.get(hsCode) + score);
+      });
+      scores = combined;
+    }
+  });
+
+  return scores;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// Cursors name the last result of the previous page, so pages stay consistent if codes are added between requests
+function encodeCursor(sort, value, hsCode) {
+  return Buffer.from(JSON.stringify({ sort, value, hsCode })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!decoded || decoded.sort !== sort || typeof decoded.hsCode !== 'string') {
+    throw new Error('Invalid cursor: it belongs to a search with a different sort order');
+  }
+  return decoded;
+}
+
+// Search a code catalogue. Throws with a message suitable for a 400 response on invalid parameters.
+// Options: q, policy, chapter, prefix and extractedBy filters (comma-separated or arrays), sort, order, limit, cursor.
+// With options.itemToHsMap, q also matches the item terms mapped to a code and each result lists those terms
+function searchCodes(hsCodesData, options = {}) {
+  const query = String(options.q || '').trim();
+  const policies = toList(options.policy).map(policy => policy.toLowerCase());
+  const chapters = toList(options.chapter).map(chapter => chapter.padStart(2, '0'));
+  const prefixes = [...chapters, ...toList(options.prefix)];
+
+  const extractedBy = toList(options.extractedBy).map(method => method.toLowerCase());
+
+  const unknownMethods = extractedBy.filter(method => !EXTRACTION_METHODS.includes(method));
+  if (unknownMethods.length > 0) {
+    throw new Error(`Unknown extraction methods: ${unknownMethods.join(', ')}. Supported methods: ${EXTRACTION_METHODS.join(', ')}`);
+  }
+
+  const invalidPrefixes = prefixes.filter(prefix => !/^\d+$/.test(prefix));
+  if (invalidPrefixes.length > 0) {
+    throw new Error(`Chapters and prefixes must be digits: ${invalidPrefixes.join(', ')}`);
+  }
+
+  const sort = options.sort || (query ? 'relevance' : 'code');
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(`Unknown sort: ${sort}. Supported sorts: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (sort === 'relevance' && !query) {
+    throw new Error('Sorting by relevance needs a query (q)');
+  }
+
+  // Relevance is highest first unless asked otherwise; other fields ascend
+  const order = options.order || (sort === 'relevance' ? 'desc' : 'asc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error(`Unknown order: ${order}. Use asc or desc`);
+  }
+
+  const limit = options.limit === undefined || options.limit === '' ? DEFAULT_PAGE_SIZE : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const itemIndex = options.itemToHsMap ? buildItemIndex(options.itemToHsMap) : null;
+  let scores = query ? scoreQuery(query, buildSearchIndex(hsCodesData)) : null;
+  if (query && scores === null) {
+    throw new Error(`The query "${query}" has no searchable words`);
+  }
+
+  // A code matches if its description or one of its item terms does; the better of the two scores counts
+  const itemScores = query && itemIndex ? scoreQuery(query, itemIndex) : null;
+  if (itemScores) {
+    scores = new Map(scores);
+    itemScores.forEach((score, hsCode) => {
+      if (hsCodesData[hsCode]) scores.set(hsCode, Math.max(scores.get(hsCode) || 0, score));
+    });
+  }
+
+  const extractionMethod = hsCode => (hsCodesData[hsCode].provenance ? hsCodesData[hsCode].provenance.method : 'unknown');
+  const codes = scores ? [...scores.keys()] : Object.keys(hsCodesData);
+  const matches = codes.filter(hsCode =>
+    (policies.length === 0 || policies.includes(hsCodesData[hsCode].policy.toLowerCase())) &&
+    (prefixes.length === 0 || prefixes.some(prefix => hsCode.startsWith(prefix))) &&
+    (extractedBy.length === 0 || extractedBy.includes(extractionMethod(hsCode)))
+  );
+
+  const sortValue = hsCode => {
+    switch (sort) {
+      case 'relevance': return Math.round(scores.get(hsCode) * 10000) / 10000;
+      case 'description': return hsCodesData[hsCode].description.toLowerCase();
+      case 'policy': return hsCodesData[hsCode].policy.toLowerCase();
+      default: return hsCode;
+    }
+  };
+  const direction = order === 'desc' ? -1 : 1;
+  const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  // Codes break ties in ascending order whatever the direction, so every result has one place in the order
+  const compare = (a, b) => direction * compareValues(a.value, b.value) || compareValues(a.hsCode, b.hsCode);
+
+  const ordered = matches
+    .map(hsCode => ({ hsCode, value: sortValue(hsCode) }))
+    .sort(compare);
+
+  let start = 0;
+  if (options.cursor) {
+    const after = decodeCursor(options.cursor, `${sort}:${order}`);
+    start = ordered.findIndex(item => compare(item, after) > 0);
+    if (start === -1) start = ordered.length;
+  }
+
+  const page = ordered.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start + limit < ordered.length;
+
+  return {
+    query: query || null,
+    filters: { policy: policies, chapter: chapters, prefix: toList(options.prefix), extractedBy },
+    sort,
+    order,
+    total: ordered.length,
+    count: page.length,
+    itemsTotal: itemIndex ? matches.reduce((total, hsCode) => total + (itemIndex.termsByCode.get(hsCode) || []).length, 0) : undefined,
+    results: page.map(({ hsCode }) => {
+      const entry = hsCodesData[hsCode];
+      const result = { hsCode, description: entry.description, policy: entry.policy };
+      if (entry.policyCondition) result.policyCondition = entry.policyCondition;
+      if (entry.provenance) result.provenance = entry.provenance;
+      if (scores) result.score = Math.round(scores.get(hsCode) * 10000) / 10000;
+      if (itemIndex) result.items = itemIndex.termsByCode.get(hsCode) || [];
+      return result;
+    }),
+    nextCursor: hasMore ? encodeCursor(`${sort}:${order}`, last.value, last.hsCode) : null
+  };
+}
+
+module.exports = {
+  buildSearchIndex,
+  buildItemIndex,
+  searchCodes
+};
@@ -0,0 +1,36 @@
+// In-memory state written back to the store on an interval (usage counters, the AI answer cache) is also flushed on exit.
+// Hooks must be synchronous: they run from the process 'exit' event, after which no more work is scheduled
+const hooks = [];
+let installed = false;
+
+function runHooks() {
+  hooks.forEach(hook => {
+    try {
+      hook();
+    } catch (error) {
+      console.error('Error flushing state on shutdown:', error);
+    }
+  });
+}
+
+function installHandlers() {
+  process.on('beforeExit', runHooks);
+  process.on('exit', runHooks);
+
+  // A signal would otherwise end the process without 'exit' handlers running
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.once(signal, () => process.exit(signal === 'SIGINT' ? 130 : 143));
+  });
+}
+
+function onShutdown(hook) {
+  if (!installed) {
+    installHandlers();
+    installed = true;
+  }
+  hooks.push(hook);
+}
+
+module.exports = {
+  onShutdown
+};
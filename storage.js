@@ -0,0 +1,521 @@
+const fs = require('fs');
+const path = require('path');
+
+// Which store holds the built databases: "json" (the original files) or "sqlite"
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(__dirname, 'compliance.sqlite');
+const WEBHOOKS_PATH = process.env.WEBHOOKS_PATH || path.join(__dirname, 'webhooks.json');
+const WEBHOOK_DELIVERIES_PATH = process.env.WEBHOOK_DELIVERIES_PATH || path.join(__dirname, 'webhook-deliveries.json');
+const API_KEYS_PATH = process.env.API_KEYS_PATH || path.join(__dirname, 'api-keys.json');
+const AI_CACHE_PATH = process.env.AI_CACHE_PATH || path.join(__dirname, 'ai-response-cache.json');
+
+// Databases loaded from SQLite keep only chunk ids and sources in memory; database.chunkStore reads the text and
+// vectors on demand. This returns every chunk in full, for rebuilds and saves that need them all at once
+function materializeChunks(database) {
+  const chunks = database.chunks || [];
+  const { chunkStore } = database;
+  if (!chunkStore) {
+    return chunks;
+  }
+
+  const fetched = new Map(chunkStore.get(chunks.filter(chunk => !chunk.embedding).map(chunk => chunk.id))
+    .map(chunk => [String(chunk.id), chunk]));
+  return chunks.map(chunk => (chunk.embedding ? chunk : fetched.get(String(chunk.id)))).filter(Boolean);
+}
+
+// Records with ids, kept together in one JSON file
+function createJsonCollection(filePath) {
+  return {
+    list() {
+      return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+    },
+
+    save(record) {
+      const records = this.list().filter(existing => existing.id !== record.id);
+      fs.writeFileSync(filePath, JSON.stringify([...records, record], null, 2));
+    },
+
+    delete(id) {
+      const records = this.list();
+      const remaining = records.filter(record => record.id !== id);
+      fs.writeFileSync(filePath, JSON.stringify(remaining, null, 2));
+      return remaining.length < records.length;
+    }
+  };
+}
+
+// One JSON file for the embeddings database and one for the item mapping, per jurisdiction
+function createJsonStore() {
+  const webhooks = createJsonCollection(WEBHOOKS_PATH);
+  const apiKeys = createJsonCollection(API_KEYS_PATH);
+
+  return {
+    name: 'json',
+    lazyChunks: false,
+
+    exists(jurisdiction) {
+      return fs.existsSync(jurisdiction.embeddingsPath) && fs.existsSync(jurisdiction.itemToHsPath);
+    },
+
+    load(jurisdiction) {
+      if (!this.exists(jurisdiction)) {
+        return null;
+      }
+
+      const embeddingsData = JSON.parse(fs.readFileSync(jurisdiction.embeddingsPath, 'utf8'));
+      const itemToHsMap = JSON.parse(fs.readFileSync(jurisdiction.itemToHsPath, 'utf8'));
+      return { ...embeddingsData, itemToHsMap };
+    },
+
+    save(jurisdiction, database) {
+      const { itemToHsMap, chunkStore, ...embeddingsData } = database;
+
+      // Embeddings loaded from SQLite are typed arrays; write them back as plain arrays
+      const toArray = embedding => Array.from(embedding);
+      const serializable = {
+        ...embeddingsData,
+        chunks: materializeChunks(database).map(chunk => ({ ...chunk, embedding: toArray(chunk.embedding) }))
+      };
+      if (embeddingsData.descriptionEmbeddings) {
+        serializable.descriptionEmbeddings = Object.fromEntries(
+          Object.entries(embeddingsData.descriptionEmbeddings).map(([description, embedding]) => [description, toArray(embedding)])
+        );
+      }
+
+      fs.writeFileSync(jurisdiction.itemToHsPath, JSON.stringify(itemToHsMap));
+      fs.writeFileSync(jurisdiction.embeddingsPath, JSON.stringify(serializable));
+    },
+
+    // Versions survive clear(): they are the history of the database, not part of it
+    clear(jurisdiction) {
+      [jurisdiction.embeddingsPath, jurisdiction.itemToHsPath].forEach(filePath => {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      });
+    },
+
+    // Version metadata is kept in an index file so listing does not read every snapshot
+    listVersions(jurisdiction) {
+      const indexPath = path.join(jurisdiction.versionsDir, 'index.json');
+      return fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : [];
+    },
+
+    loadVersion(jurisdiction, versionId) {
+      const versionPath = path.join(jurisdiction.versionsDir, `${path.basename(versionId)}.json`);
+      return fs.existsSync(versionPath) ? JSON.parse(fs.readFileSync(versionPath, 'utf8')) : null;
+    },
+
+    saveVersion(jurisdiction, version) {
+      const { hsCodesData, itemToHsMap, ...metadata } = version;
+      const versions = this.listVersions(jurisdiction).filter(existing => existing.id !== version.id);
+
+      fs.mkdirSync(jurisdiction.versionsDir, { recursive: true });
+      fs.writeFileSync(path.join(jurisdiction.versionsDir, `${version.id}.json`), JSON.stringify(version));
+      fs.writeFileSync(path.join(jurisdiction.versionsDir, 'index.json'), JSON.stringify([...versions, metadata], null, 2));
+    },
+
+    // Webhook subscriptions and API keys are shared by every jurisdiction, so each lives in one file
+    listWebhooks() {
+      return webhooks.list();
+    },
+
+    saveWebhook(webhook) {
+      webhooks.save(webhook);
+    },
+
+    deleteWebhook(webhookId) {
+      return webhooks.delete(webhookId);
+    },
+
+    // The webhook delivery log, pending retries included, is written as a whole in creation order
+    listWebhookDeliveries() {
+      return fs.existsSync(WEBHOOK_DELIVERIES_PATH) ? JSON.parse(fs.readFileSync(WEBHOOK_DELIVERIES_PATH, 'utf8')) : [];
+    },
+
+    replaceWebhookDeliveries(deliveries) {
+      fs.writeFileSync(WEBHOOK_DELIVERIES_PATH, JSON.stringify(deliveries));
+    },
+
+    listApiKeys() {
+      return apiKeys.list();
+    },
+
+    saveApiKey(apiKey) {
+      apiKeys.save(apiKey);
+    },
+
+    deleteApiKey(apiKeyId) {
+      return apiKeys.delete(apiKeyId);
+    },
+
+    // Cached AI answers are written as a whole, in least recently used order
+    listCachedResponses() {
+      return fs.existsSync(AI_CACHE_PATH) ? JSON.parse(fs.readFileSync(AI_CACHE_PATH, 'utf8')) : [];
+    },
+
+    replaceCachedResponses(entries) {
+      fs.writeFileSync(AI_CACHE_PATH, JSON.stringify(entries));
+    }
+  };
+}
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS databases (
+    jurisdiction TEXT PRIMARY KEY,
+    saved_at TEXT NOT NULL,
+    extra TEXT
+  );
+  CREATE TABLE IF NOT EXISTS hs_codes (
+    jurisdiction TEXT NOT NULL,
+    hs_code TEXT NOT NULL,
+    description TEXT NOT NULL,
+    policy TEXT NOT NULL,
+    policy_condition TEXT,
+    conditions TEXT,
+    extra TEXT,
+    PRIMARY KEY (jurisdiction, hs_code)
+  );
+  CREATE TABLE IF NOT EXISTS item_mappings (
+    jurisdiction TEXT NOT NULL,
+    term TEXT NOT NULL,
+    hs_code TEXT NOT NULL,
+    PRIMARY KEY (jurisdiction, term)
+  );
+  CREATE TABLE IF NOT EXISTS chunks (
+    jurisdiction TEXT NOT NULL,
+    id TEXT NOT NULL,
+    content TEXT NOT NULL,
+    source TEXT,
+    embedding BLOB NOT NULL,
+    PRIMARY KEY (jurisdiction, id)
+  );
+  CREATE TABLE IF NOT EXISTS description_embeddings (
+    jurisdiction TEXT NOT NULL,
+    description TEXT NOT NULL,
+    embedding BLOB NOT NULL,
+    PRIMARY KEY (jurisdiction, description)
+  );
+  CREATE TABLE IF NOT EXISTS documents (
+    jurisdiction TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    metadata TEXT NOT NULL,
+    PRIMARY KEY (jurisdiction, position)
+  );
+  CREATE TABLE IF NOT EXISTS versions (
+    jurisdiction TEXT NOT NULL,
+    id TEXT NOT NULL,
+    metadata TEXT NOT NULL,
+    hs_codes TEXT NOT NULL,
+    item_mappings TEXT NOT NULL,
+    PRIMARY KEY (jurisdiction, id)
+  );
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    subscription TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    delivery TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    record TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS ai_response_cache (
+    key TEXT PRIMARY KEY,
+    entry TEXT NOT NULL
+  );
+`;
+
+// Embeddings are stored as float32 blobs, a quarter of their JSON size
+function embeddingToBlob(embedding) {
+  return Buffer.from(Float32Array.from(embedding).buffer);
+}
+
+function blobToEmbedding(blob) {
+  // Copy into a fresh, aligned buffer before viewing it as floats
+  return new Float32Array(new Uint8Array(blob).buffer);
+}
+
+// Chunk ids became content hashes; files created with integer ids get a text column, keeping their rows
+function upgradeChunkIds(db) {
+  const idColumn = db.prepare('PRAGMA table_info(chunks)').all().find(column => column.name === 'id');
+  if (!idColumn || idColumn.type === 'TEXT') return;
+
+  db.transaction(() => {
+    db.exec('ALTER TABLE chunks RENAME TO chunks_integer_ids');
+    db.exec(SQLITE_SCHEMA);
+    db.exec('INSERT INTO chunks (jurisdiction, id, content, source, embedding) SELECT jurisdiction, CAST(id AS TEXT), content, source, embedding FROM chunks_integer_ids ORDER BY jurisdiction, id');
+    db.exec('DROP TABLE chunks_integer_ids');
+  })();
+}
+
+// Entry fields without a column of their own (such as notes) are kept as JSON; older files get the column added
+function upgradeHsCodeExtras(db) {
+  const columns = db.prepare('PRAGMA table_info(hs_codes)').all();
+  if (columns.some(column => column.name === 'extra')) return;
+  db.exec('ALTER TABLE hs_codes ADD COLUMN extra TEXT');
+}
+
+// Tables in a single SQLite file, rows keyed by jurisdiction id
+function createSqliteStore(filePath = SQLITE_PATH) {
+  const Database = require('better-sqlite3');
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  upgradeChunkIds(db);
+  db.exec(SQLITE_SCHEMA);
+  upgradeHsCodeExtras(db);
+
+  // Versions are left out: clearing a database keeps its history
+  const TABLES = ['hs_codes', 'item_mappings', 'chunks', 'description_embeddings', 'documents', 'databases'];
+
+  const statements = {
+    exists: db.prepare('SELECT 1 FROM databases WHERE jurisdiction = ?'),
+    meta: db.prepare('SELECT extra FROM databases WHERE jurisdiction = ?'),
+    hsCodes: db.prepare('SELECT hs_code, description, policy, policy_condition, conditions, extra FROM hs_codes WHERE jurisdiction = ?'),
+    itemMappings: db.prepare('SELECT term, hs_code FROM item_mappings WHERE jurisdiction = ?'),
+    chunkRefs: db.prepare('SELECT id, source FROM chunks WHERE jurisdiction = ? ORDER BY rowid'),
+    chunk: db.prepare('SELECT id, content, source, embedding FROM chunks WHERE jurisdiction = ? AND id = ?'),
+    descriptionEmbeddings: db.prepare('SELECT description, embedding FROM description_embeddings WHERE jurisdiction = ?'),
+    documents: db.prepare('SELECT metadata FROM documents WHERE jurisdiction = ? ORDER BY position'),
+    insertDatabase: db.prepare('INSERT INTO databases (jurisdiction, saved_at, extra) VALUES (?, ?, ?)'),
+    insertHsCode: db.prepare('INSERT INTO hs_codes (jurisdiction, hs_code, description, policy, policy_condition, conditions, extra) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+    insertItemMapping: db.prepare('INSERT INTO item_mappings (jurisdiction, term, hs_code) VALUES (?, ?, ?)'),
+    insertChunk: db.prepare('INSERT INTO chunks (jurisdiction, id, content, source, embedding) VALUES (?, ?, ?, ?, ?)'),
+    insertDescriptionEmbedding: db.prepare('INSERT INTO description_embeddings (jurisdiction, description, embedding) VALUES (?, ?, ?)'),
+    insertDocument: db.prepare('INSERT INTO documents (jurisdiction, position, metadata) VALUES (?, ?, ?)'),
+    versions: db.prepare('SELECT metadata FROM versions WHERE jurisdiction = ? ORDER BY rowid'),
+    version: db.prepare('SELECT metadata, hs_codes, item_mappings FROM versions WHERE jurisdiction = ? AND id = ?'),
+    upsertVersion: db.prepare('INSERT OR REPLACE INTO versions (jurisdiction, id, metadata, hs_codes, item_mappings) VALUES (?, ?, ?, ?, ?)'),
+    webhooks: db.prepare('SELECT subscription FROM webhooks ORDER BY rowid'),
+    upsertWebhook: db.prepare('INSERT OR REPLACE INTO webhooks (id, subscription) VALUES (?, ?)'),
+    deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+    webhookDeliveries: db.prepare('SELECT delivery FROM webhook_deliveries ORDER BY rowid'),
+    insertWebhookDelivery: db.prepare('INSERT INTO webhook_deliveries (id, delivery) VALUES (?, ?)'),
+    clearWebhookDeliveries: db.prepare('DELETE FROM webhook_deliveries'),
+    apiKeys: db.prepare('SELECT record FROM api_keys ORDER BY rowid'),
+    upsertApiKey: db.prepare('INSERT OR REPLACE INTO api_keys (id, record) VALUES (?, ?)'),
+    deleteApiKey: db.prepare('DELETE FROM api_keys WHERE id = ?'),
+    cachedResponses: db.prepare('SELECT key, entry FROM ai_response_cache ORDER BY rowid'),
+    insertCachedResponse: db.prepare('INSERT INTO ai_response_cache (key, entry) VALUES (?, ?)'),
+    clearCachedResponses: db.prepare('DELETE FROM ai_response_cache')
+  };
+  const deletes = TABLES.map(table => db.prepare(`DELETE FROM ${table} WHERE jurisdiction = ?`));
+
+  const replaceCachedResponses = db.transaction(entries => {
+    statements.clearCachedResponses.run();
+    entries.forEach(({ key, ...entry }) => statements.insertCachedResponse.run(key, JSON.stringify(entry)));
+  });
+
+  const replaceWebhookDeliveries = db.transaction(deliveries => {
+    statements.clearWebhookDeliveries.run();
+    deliveries.forEach(delivery => statements.insertWebhookDelivery.run(delivery.id, JSON.stringify(delivery)));
+  });
+
+  const clear = db.transaction(id => {
+    deletes.forEach(statement => statement.run(id));
+  });
+
+  // Replace everything stored for the jurisdiction in one transaction, so readers never see half a database
+  const save = db.transaction((id, database, chunks) => {
+    const { chunks: chunkRefs, chunkStore, hsCodesData, itemToHsMap, descriptionEmbeddings, documents, ...extra } = database;
+
+    clear(id);
+    statements.insertDatabase.run(id, new Date().toISOString(), JSON.stringify(extra));
+
+    Object.entries(hsCodesData || {}).forEach(([hsCode, entry]) => {
+      const { description, policy, policyCondition, conditions, ...entryExtra } = entry;
+      statements.insertHsCode.run(
+        id,
+        hsCode,
+        description,
+        policy,
+        policyCondition || null,
+        conditions ? JSON.stringify(conditions) : null,
+        Object.keys(entryExtra).length > 0 ? JSON.stringify(entryExtra) : null
+      );
+    });
+    Object.entries(itemToHsMap || {}).forEach(([term, hsCode]) => {
+      statements.insertItemMapping.run(id, term, hsCode);
+    });
+    (chunks || []).forEach(chunk => {
+      statements.insertChunk.run(id, String(chunk.id), chunk.content, chunk.source || null, embeddingToBlob(chunk.embedding));
+    });
+    Object.entries(descriptionEmbeddings || {}).forEach(([description, embedding]) => {
+      statements.insertDescriptionEmbedding.run(id, description, embeddingToBlob(embedding));
+    });
+    (documents || []).forEach((document, position) => {
+      statements.insertDocument.run(id, position, JSON.stringify(document));
+    });
+  });
+
+  const rowToChunk = row => ({ id: row.id, content: row.content, source: row.source, embedding: blobToEmbedding(row.embedding) });
+
+  // Reads a jurisdiction's chunk text and vectors when a search or rebuild needs them, instead of holding them all
+  function createChunkStore(jurisdictionId) {
+    return {
+      get(ids) {
+        return ids
+          .map(chunkIdValue => statements.chunk.get(jurisdictionId, String(chunkIdValue)))
+          .filter(Boolean)
+          .map(rowToChunk);
+      }
+    };
+  }
+
+  return {
+    name: 'sqlite',
+    filePath,
+    lazyChunks: true,
+
+    exists(jurisdiction) {
+      return Boolean(statements.exists.get(jurisdiction.id));
+    },
+
+    load(jurisdiction) {
+      const meta = statements.meta.get(jurisdiction.id);
+      if (!meta) {
+        return null;
+      }
+
+      const hsCodesData = {};
+      statements.hsCodes.all(jurisdiction.id).forEach(row => {
+        const entry = { description: row.description, policy: row.policy };
+        if (row.policy_condition) entry.policyCondition = row.policy_condition;
+        if (row.conditions) entry.conditions = JSON.parse(row.conditions);
+        if (row.extra) Object.assign(entry, JSON.parse(row.extra));
+        hsCodesData[row.hs_code] = entry;
+      });
+
+      const itemToHsMap = {};
+      statements.itemMappings.all(jurisdiction.id).forEach(row => {
+        itemToHsMap[row.term] = row.hs_code;
+      });
+
+      // Codes are loaded eagerly; chunks are ids only, their text and vectors stay in the file until needed
+      const database = {
+        ...JSON.parse(meta.extra || '{}'),
+        chunks: statements.chunkRefs.all(jurisdiction.id).map(row => ({ id: row.id, source: row.source })),
+        chunkStore: createChunkStore(jurisdiction.id),
+        hsCodesData,
+        documents: statements.documents.all(jurisdiction.id).map(row => JSON.parse(row.metadata)),
+        itemToHsMap
+      };
+
+      const descriptionRows = statements.descriptionEmbeddings.all(jurisdiction.id);
+      if (descriptionRows.length > 0) {
+        database.descriptionEmbeddings = {};
+        descriptionRows.forEach(row => {
+          database.descriptionEmbeddings[row.description] = blobToEmbedding(row.embedding);
+        });
+      }
+
+      return database;
+    },
+
+    save(jurisdiction, database) {
+      // Chunk text and vectors are read before the transaction clears the rows they come from
+      save(jurisdiction.id, database, materializeChunks(database));
+    },
+
+    clear(jurisdiction) {
+      clear(jurisdiction.id);
+    },
+
+    listVersions(jurisdiction) {
+      return statements.versions.all(jurisdiction.id).map(row => JSON.parse(row.metadata));
+    },
+
+    loadVersion(jurisdiction, versionId) {
+      const row = statements.version.get(jurisdiction.id, versionId);
+      if (!row) {
+        return null;
+      }
+      return {
+        ...JSON.parse(row.metadata),
+        hsCodesData: JSON.parse(row.hs_codes),
+        itemToHsMap: JSON.parse(row.item_mappings)
+      };
+    },
+
+    saveVersion(jurisdiction, version) {
+      const { hsCodesData, itemToHsMap, ...metadata } = version;
+      statements.upsertVersion.run(jurisdiction.id, version.id, JSON.stringify(metadata), JSON.stringify(hsCodesData), JSON.stringify(itemToHsMap));
+    },
+
+    listWebhooks() {
+      return statements.webhooks.all().map(row => JSON.parse(row.subscription));
+    },
+
+    saveWebhook(webhook) {
+      statements.upsertWebhook.run(webhook.id, JSON.stringify(webhook));
+    },
+
+    deleteWebhook(webhookId) {
+      return statements.deleteWebhook.run(webhookId).changes > 0;
+    },
+
+    listWebhookDeliveries() {
+      return statements.webhookDeliveries.all().map(row => JSON.parse(row.delivery));
+    },
+
+    replaceWebhookDeliveries(deliveries) {
+      replaceWebhookDeliveries(deliveries);
+    },
+
+    listApiKeys() {
+      return statements.apiKeys.all().map(row => JSON.parse(row.record));
+    },
+
+    saveApiKey(apiKey) {
+      statements.upsertApiKey.run(apiKey.id, JSON.stringify(apiKey));
+    },
+
+    deleteApiKey(apiKeyId) {
+      return statements.deleteApiKey.run(apiKeyId).changes > 0;
+    },
+
+    listCachedResponses() {
+      return statements.cachedResponses.all().map(row => ({ key: row.key, ...JSON.parse(row.entry) }));
+    },
+
+    replaceCachedResponses(entries) {
+      replaceCachedResponses(entries);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+function createStore(backend = STORAGE_BACKEND) {
+  switch (backend) {
+    case 'json':
+      return createJsonStore();
+    case 'sqlite':
+      return createSqliteStore();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}. Supported backends: json, sqlite`);
+  }
+}
+
+// The configured store, opened on first use
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  SQLITE_PATH,
+  materializeChunks,
+  createJsonStore,
+  createSqliteStore,
+  getStore
+};
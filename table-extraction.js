@@ -0,0 +1,266 @@
+const { addItemMappings, createCodeEntry } = require('./extraction');
+
+// Text items whose baselines are this close (in PDF units) sit on the same line
+const LINE_TOLERANCE = 2;
+
+// A horizontal gap wider than this fraction of the font height separates two cells
+const CELL_GAP_RATIO = 0.8;
+
+// A cell starting this far left of a column's start still belongs to it
+const COLUMN_TOLERANCE = 12;
+
+// Repeated lines in the top and bottom margins (this fraction of the page height) are running headers and footers
+const MARGIN_RATIO = 0.12;
+
+// The report lists at most this many unparsed lines per document; the count covers them all
+const MAX_REPORTED_LINES = 200;
+
+const COLUMNS = ['code', 'description', 'policy', 'condition', 'notes'];
+
+const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+// Group a page's text items into lines, top to bottom, each split into cells at wide gaps
+function buildLines(page) {
+  const items = [...page.items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  items.forEach(item => {
+    const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= LINE_TOLERANCE);
+    if (line) line.items.push(item);
+    else lines.push({ y: item.y, items: [item] });
+  });
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(line => {
+      const cells = [];
+      line.items.sort((a, b) => a.x - b.x).forEach(item => {
+        const cell = cells[cells.length - 1];
+        const gap = cell ? item.x - cell.right : Infinity;
+
+        if (cell && gap <= CELL_GAP_RATIO * (item.height || 10)) {
+          cell.text += (gap > 1 && !cell.text.endsWith(' ') && !item.text.startsWith(' ') ? ' ' : '') + item.text;
+          cell.right = Math.max(cell.right, item.x + item.width);
+        } else {
+          cells.push({ x: item.x, right: item.x + item.width, text: item.text });
+        }
+      });
+
+      cells.forEach(cell => { cell.text = normalize(cell.text); });
+      return {
+        page: page.number,
+        pageHeight: page.height,
+        y: line.y,
+        // Items keep labels apart that sit too close to split into cells, such as adjacent header captions
+        items: line.items.map(item => ({ x: item.x, right: item.x + item.width, text: normalize(item.text) })),
+        cells,
+        text: cells.map(cell => cell.text).join(' ')
+      };
+    });
+}
+
+// The tariff code in a cell, with dots and spaces removed, or null
+function cellCode(text, jurisdiction) {
+  const compact = text.replace(/[.\s]/g, '');
+  return jurisdiction.tableCodePattern.test(compact) ? compact : null;
+}
+
+// A code printed in the same text item as the start of its description arrives as one cell; split it
+function splitLeadingCode(cells, jurisdiction) {
+  const [first, ...rest] = cells;
+  const match = first && first.text.match(/^([\d.]+)\s+(.+)$/);
+  if (!match || !cellCode(match[1], jurisdiction)) {
+    return cells;
+  }
+
+  const descriptionX = first.x + (first.right - first.x) * (match[1].length / first.text.length) + 1;
+  return [{ ...first, text: match[1] }, { x: descriptionX, right: first.right, text: match[2] }, ...rest];
+}
+
+function matchPolicy(text, jurisdiction) {
+  const normalized = normalize(text).toLowerCase();
+  return jurisdiction.policies.find(policy => policy.toLowerCase() === normalized) || null;
+}
+
+function isHeaderLine(line) {
+  return line.cells.some(cell => /description/i.test(cell.text)) &&
+    line.cells.some(cell => /policy/i.test(cell.text) && !/condition/i.test(cell.text));
+}
+
+// Column start positions, from a header row when the table has one, otherwise from rows whose policy cell is recognisable
+function findColumns(lines, jurisdiction) {
+  const header = lines.find(isHeaderLine);
+  if (header) {
+    const find = pattern => header.items.find(item => pattern.test(item.text));
+    const columns = {
+      code: header.items[0],
+      description: find(/description/i),
+      policy: header.items.find(item => /policy/i.test(item.text) && !/condition/i.test(item.text)),
+      condition: find(/condition/i),
+      notes: find(/notes?|remarks?/i)
+    };
+    return COLUMNS
+      .filter(name => columns[name])
+      .map(name => ({ name, x: columns[name].x }))
+      .sort((a, b) => a.x - b.x);
+  }
+
+  const positions = { code: [], description: [], policy: [], condition: [], notes: [] };
+  lines.forEach(line => {
+    const cells = splitLeadingCode(line.cells, jurisdiction);
+    const policyIndex = cells.findIndex(cell => matchPolicy(cell.text, jurisdiction));
+    if (cells.length < 3 || !cellCode(cells[0].text, jurisdiction) || policyIndex < 2) return;
+
+    positions.code.push(cells[0].x);
+    positions.description.push(cells[1].x);
+    positions.policy.push(cells[policyIndex].x);
+    if (cells[policyIndex + 1]) positions.condition.push(cells[policyIndex + 1].x);
+    if (cells[policyIndex + 2]) positions.notes.push(cells[policyIndex + 2].x);
+  });
+
+  if (positions.policy.length === 0) {
+    return null;
+  }
+
+  const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+  return COLUMNS
+    .filter(name => positions[name].length > 0)
+    .map(name => ({ name, x: median(positions[name]) }))
+    .sort((a, b) => a.x - b.x);
+}
+
+function columnOf(cell, columns) {
+  const column = [...columns].reverse().find(candidate => candidate.x <= cell.x + COLUMN_TOLERANCE);
+  return column ? column.name : columns[0].name;
+}
+
+// Lines in the page margins that repeat on at least half the pages (page numbers count as repeats)
+function findFurniture(lines, pageCount) {
+  const inMargin = line => line.pageHeight &&
+    (line.y > line.pageHeight * (1 - MARGIN_RATIO) || line.y < line.pageHeight * MARGIN_RATIO);
+  const shape = line => line.text.replace(/\d+/g, '#');
+
+  const pagesByShape = new Map();
+  lines.filter(inMargin).forEach(line => {
+    if (!pagesByShape.has(shape(line))) pagesByShape.set(shape(line), new Set());
+    pagesByShape.get(shape(line)).add(line.page);
+  });
+
+  const minPages = Math.max(2, Math.ceil(pageCount / 2));
+  return new Set(lines.filter(line =>
+    inMargin(line) && (pagesByShape.get(shape(line)).size >= minPages || /^(page\s*)?#(\s*(of|\/)\s*#)?$/i.test(shape(line)))
+  ));
+}
+
+// Join wrapped text, closing words hyphenated across lines
+function joinParts(parts) {
+  return parts.reduce((text, part) => {
+    if (!text) return part;
+    return /[a-z]-$/i.test(text) && /^[a-z]/.test(part) ? text.slice(0, -1) + part : `${text} ${part}`;
+  }, '');
+}
+
+// Rebuild tariff table rows (code, description, policy, policy condition, notes) from positioned PDF text.
+// Rows continue over wrapped lines and onto the next page; lines that fit no row are reported rather than dropped.
+// Returns null when no table with a recognisable policy column is found
+function extractTableRows(pages, jurisdiction, fileName = null) {
+  const lines = pages.flatMap(buildLines);
+  const columns = findColumns(lines, jurisdiction);
+  if (!columns || !columns.some(column => column.name === 'policy')) {
+    return null;
+  }
+
+  const furniture = findFurniture(lines, pages.length);
+  const hsCodesData = {};
+  const itemToHsMap = {};
+  const unparsedLines = [];
+  const incompleteRows = [];
+  const duplicates = [];
+  let rowsCount = 0;
+  let current = null;
+
+  const closeRow = () => {
+    if (!current) return;
+    const row = current;
+    current = null;
+
+    const description = joinParts(row.parts.description);
+    const policyText = joinParts(row.parts.policy);
+    const policy = matchPolicy(policyText, jurisdiction);
+
+    if (!policy || !description) {
+      incompleteRows.push({
+        hsCode: row.hsCode,
+        page: row.page,
+        description: description || null,
+        policyText: policyText || null,
+        reason: !description ? 'no description' : policyText ? `unrecognised policy "${policyText}"` : 'no policy'
+      });
+      return;
+    }
+
+    if (hsCodesData[row.hsCode]) {
+      duplicates.push({ hsCode: row.hsCode, previousPolicy: hsCodesData[row.hsCode].policy, policy });
+    }
+    hsCodesData[row.hsCode] = {
+      ...createCodeEntry(description, policy, joinParts(row.parts.condition), joinParts(row.parts.notes)),
+      provenance: { method: 'layout', source: fileName, chunk: null, page: row.page }
+    };
+    addItemMappings(itemToHsMap, description, row.hsCode);
+    rowsCount++;
+  };
+
+  const reportLine = (line, reason) => {
+    unparsedLines.push({ page: line.page, text: line.text, reason });
+  };
+
+  lines.forEach(line => {
+    if (furniture.has(line) || isHeaderLine(line)) {
+      return;
+    }
+
+    // Items are placed in columns one by one, so text running up to the next column stays apart from it
+    const cells = splitLeadingCode(line.items, jurisdiction).map(item => ({ ...item, column: columnOf(item, columns) }));
+    const codeCells = cells.filter(cell => cell.column === 'code');
+    const hsCode = codeCells.length > 0 ? cellCode(codeCells.map(cell => cell.text).join(''), jurisdiction) : null;
+
+    if (hsCode) {
+      closeRow();
+      current = { hsCode, page: line.page, parts: { description: [], policy: [], condition: [], notes: [] } };
+    } else if (codeCells.length > 0 || !current) {
+      // Text starting in the code column without a code ends the row: chapter headings, notes, preamble
+      const reason = cells.some(cell => cellCode(cell.text, jurisdiction))
+        ? 'code outside the code column'
+        : codeCells.length > 0 ? 'not a table row' : 'text outside a table row';
+      closeRow();
+      reportLine(line, reason);
+      return;
+    }
+
+    Object.keys(current.parts).forEach(column => {
+      const text = cells.filter(cell => cell.column === column).map(cell => cell.text).join(' ');
+      if (text) current.parts[column].push(text);
+    });
+  });
+  closeRow();
+
+  return {
+    hsCodesData,
+    itemToHsMap,
+    duplicates,
+    report: {
+      method: 'layout',
+      pages: pages.length,
+      columns: columns.map(column => column.name),
+      rows: rowsCount,
+      duplicateCodes: duplicates.map(duplicate => duplicate.hsCode),
+      incompleteRows,
+      unparsedLinesCount: unparsedLines.length,
+      unparsedLines: unparsedLines.slice(0, MAX_REPORTED_LINES)
+    }
+  };
+}
+
+module.exports = {
+  extractTableRows
+};
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store and the cache limits are read when the modules are first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-cache-test-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.AI_CACHE_PATH = path.join(dataDir, 'ai-response-cache.json');
+process.env.AI_CACHE_MAX_ENTRIES = '3';
+process.env.AI_CACHE_TTL_MS = '60000';
+process.env.LLM_PROVIDER = 'local';
+
+const { cachedGenerate, cacheStats, clearCache, flushCache } = require('../ai-cache');
+
+// A generate() that counts its calls and answers with the call number
+function counter(prefix = 'answer') {
+  const generate = async () => `${prefix} ${++generate.calls}`;
+  generate.calls = 0;
+  return generate;
+}
+
+test.beforeEach(() => clearCache());
+
+test('a repeated request is answered from the cache without calling the model again', async () => {
+  const generate = counter();
+  const before = cacheStats();
+
+  assert.strictEqual(await cachedGenerate('classify', { item: 'rice', country: 'IN' }, generate), 'answer 1');
+  // Input order does not change the key
+  assert.strictEqual(await cachedGenerate('classify', { country: 'IN', item: 'rice' }, generate), 'answer 1');
+  assert.strictEqual(await cachedGenerate('classify', { item: 'tea', country: 'IN' }, generate), 'answer 2');
+  assert.strictEqual(await cachedGenerate('explain', { item: 'rice', country: 'IN' }, generate), 'answer 3');
+
+  const after = cacheStats();
+  assert.strictEqual(after.hits - before.hits, 1);
+  assert.strictEqual(after.misses - before.misses, 3);
+  assert.strictEqual(after.byKind.classify.entries, 2);
+});
+
+test('concurrent requests for the same answer share one model call', async () => {
+  let release;
+  const generate = () => new Promise(resolve => { release = () => resolve('shared'); });
+  const before = cacheStats();
+
+  const first = cachedGenerate('classify', { item: 'coffee' }, generate);
+  const second = cachedGenerate('classify', { item: 'coffee' }, () => assert.fail('generate should not be called twice'));
+  assert.strictEqual(cacheStats().pending, 1);
+  release();
+
+  assert.deepStrictEqual(await Promise.all([first, second]), ['shared', 'shared']);
+  assert.strictEqual(cacheStats().coalesced - before.coalesced, 1);
+  assert.strictEqual(cacheStats().pending, 0);
+});
+
+test('a failed generation reaches every waiter and is not cached', async () => {
+  const before = cacheStats();
+  let reject;
+  const failing = () => new Promise((resolve, rejectWith) => { reject = rejectWith; });
+
+  const first = cachedGenerate('classify', { item: 'tea' }, failing);
+  const second = cachedGenerate('classify', { item: 'tea' }, failing);
+  reject(new Error('model unavailable'));
+
+  await assert.rejects(first, /model unavailable/);
+  await assert.rejects(second, /model unavailable/);
+  assert.strictEqual(cacheStats().failures - before.failures, 1);
+  assert.strictEqual(await cachedGenerate('classify', { item: 'tea' }, async () => 'recovered'), 'recovered');
+});
+
+test('an answer older than the TTL is generated again', async t => {
+  const generate = counter();
+  const before = cacheStats();
+  await cachedGenerate('classify', { item: 'rice' }, generate);
+
+  const later = Date.now() + 60000 + 1;
+  t.mock.method(Date, 'now', () => later);
+
+  assert.strictEqual(await cachedGenerate('classify', { item: 'rice' }, generate), 'answer 2');
+  assert.strictEqual(cacheStats().expired - before.expired, 1);
+});
+
+test('beyond the entry limit the least recently used answer is evicted', async () => {
+  const generate = counter();
+  const before = cacheStats();
+  for (const item of ['a', 'b', 'c']) {
+    await cachedGenerate('classify', { item }, generate);
+  }
+  // Reading "a" makes "b" the least recently used
+  await cachedGenerate('classify', { item: 'a' }, generate);
+  await cachedGenerate('classify', { item: 'd' }, generate);
+
+  assert.strictEqual(cacheStats().size, 3);
+  assert.strictEqual(cacheStats().evicted - before.evicted, 1);
+  assert.strictEqual(generate.calls, 4);
+  await cachedGenerate('classify', { item: 'a' }, generate);
+  assert.strictEqual(generate.calls, 4);
+  await cachedGenerate('classify', { item: 'b' }, generate);
+  assert.strictEqual(generate.calls, 5);
+});
+
+test('flushCache writes the entries to the store and clearCache removes one kind', async () => {
+  await cachedGenerate('classify', { item: 'rice' }, async () => 'rice answer');
+  await cachedGenerate('explain', { item: 'rice' }, async () => 'explanation');
+  flushCache();
+
+  const stored = JSON.parse(fs.readFileSync(process.env.AI_CACHE_PATH, 'utf8'));
+  assert.deepStrictEqual(stored.map(entry => entry.value), ['rice answer', 'explanation']);
+  assert.ok(stored.every(entry => /^[0-9a-f]{64}$/.test(entry.key) && entry.expiresAt));
+
+  assert.strictEqual(clearCache('explain'), 1);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(process.env.AI_CACHE_PATH, 'utf8')).map(entry => entry.kind), ['classify']);
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The JSON store reads its paths when it is first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.API_KEYS_PATH = path.join(dataDir, 'api-keys.json');
+process.env.ADMIN_TOKEN = 'admin-secret';
+delete process.env.API_AUTH;
+
+const { createApiKey, revokeApiKey, describeApiKey, authenticate, requireRole } = require('../auth');
+
+// Run a middleware against a request with the given headers and report whether it passed the request on
+function call(middleware, { headers = {}, apiKey } = {}) {
+  const req = { apiKey, get: name => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+test('createApiKey stores a hash of the key and validates its fields', () => {
+  const { apiKey, key } = createApiKey({ name: 'reader', requestsPerDay: '10' });
+
+  assert.match(key, /^ck_[0-9a-f]{48}$/);
+  assert.strictEqual(apiKey.role, 'read');
+  assert.strictEqual(apiKey.requestsPerDay, 10);
+  assert.strictEqual(apiKey.requestsPerMinute, null);
+  assert.strictEqual(describeApiKey(apiKey).keyHash, undefined);
+  assert.ok(!fs.readFileSync(process.env.API_KEYS_PATH, 'utf8').includes(key));
+
+  assert.throws(() => createApiKey({ role: 'read' }), /Missing required field: name/);
+  assert.throws(() => createApiKey({ name: 'x', role: 'owner' }), /Unknown role: owner. Supported roles: read, admin/);
+  assert.throws(() => createApiKey({ name: 'x', requestsPerMinute: 1.5 }), /requestsPerMinute must be a positive integer/);
+});
+
+test('authenticate accepts a key from x-api-key or a Bearer header and rejects missing, unknown and revoked keys', () => {
+  const { apiKey, key } = createApiKey({ name: 'client' });
+
+  assert.strictEqual(call(authenticate, { headers: { 'x-api-key': key } }).req.apiKey.id, apiKey.id);
+  assert.strictEqual(call(authenticate, { headers: { authorization: `Bearer ${key}` } }).req.apiKey.id, apiKey.id);
+  assert.strictEqual(call(authenticate, { headers: { 'x-api-key': 'admin-secret' } }).req.apiKey.role, 'admin');
+
+  const missing = call(authenticate);
+  assert.strictEqual(missing.passed, false);
+  assert.strictEqual(missing.res.statusCode, 401);
+  assert.match(missing.res.body.error, /^Missing API key/);
+  assert.strictEqual(call(authenticate, { headers: { 'x-api-key': 'ck_wrong' } }).res.body.error, 'Invalid API key');
+
+  assert.strictEqual(revokeApiKey(apiKey.id), true);
+  assert.strictEqual(call(authenticate, { headers: { 'x-api-key': key } }).res.statusCode, 401);
+  assert.strictEqual(revokeApiKey('admin-token'), false);
+});
+
+test('a per-minute quota answers 429 with Retry-After until the oldest request leaves the window', t => {
+  let now = Date.parse('2026-03-01T10:00:00.000Z');
+  t.mock.method(Date, 'now', () => now);
+  const { key } = createApiKey({ name: 'burst', requestsPerMinute: 2 });
+  const headers = { 'x-api-key': key };
+
+  assert.ok(call(authenticate, { headers }).passed);
+  now += 10 * 1000;
+  assert.ok(call(authenticate, { headers }).passed);
+
+  const limited = call(authenticate, { headers });
+  assert.strictEqual(limited.passed, false);
+  assert.strictEqual(limited.res.statusCode, 429);
+  assert.strictEqual(limited.res.headers['Retry-After'], '50');
+  assert.strictEqual(limited.res.body.error, 'Quota of 2 requests per minute exceeded for API key burst');
+
+  now += 50 * 1000 + 1;
+  assert.ok(call(authenticate, { headers }).passed);
+});
+
+test('a daily quota resets at midnight UTC', t => {
+  let now = Date.parse('2026-03-01T23:00:00.000Z');
+  t.mock.method(Date, 'now', () => now);
+  const { key } = createApiKey({ name: 'daily', requestsPerDay: 2 });
+  const headers = { 'x-api-key': key };
+
+  assert.ok(call(authenticate, { headers }).passed);
+  assert.ok(call(authenticate, { headers }).passed);
+  const limited = call(authenticate, { headers });
+  assert.strictEqual(limited.res.statusCode, 429);
+  assert.strictEqual(limited.res.headers['Retry-After'], '3600');
+
+  now = Date.parse('2026-03-02T00:00:01.000Z');
+  const { passed, req } = call(authenticate, { headers });
+  assert.ok(passed);
+  assert.strictEqual(req.apiKey.usage.day, '2026-03-02');
+  assert.strictEqual(req.apiKey.usage.requestsToday, 1);
+  assert.strictEqual(req.apiKey.usage.requests, 3);
+});
+
+test('requireRole lets a role through to its own and lower routes only', () => {
+  const { apiKey: reader } = createApiKey({ name: 'viewer', role: 'read' });
+  const { apiKey: admin } = createApiKey({ name: 'operator', role: 'admin' });
+
+  assert.ok(call(requireRole('read'), { apiKey: reader }).passed);
+  assert.ok(call(requireRole('admin'), { apiKey: admin }).passed);
+  assert.ok(call(requireRole('read'), { apiKey: admin }).passed);
+
+  const denied = call(requireRole('admin'), { apiKey: reader });
+  assert.strictEqual(denied.passed, false);
+  assert.strictEqual(denied.res.statusCode, 403);
+  assert.strictEqual(denied.res.body.error, 'This endpoint requires the admin role');
+  assert.strictEqual(call(requireRole('read')).res.statusCode, 403);
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
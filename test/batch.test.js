@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getJurisdiction } = require('../jurisdictions');
+const { parsePolicyConditions } = require('../conditions');
+const { parseManifestCsv, mapWithConcurrency, checkManifest } = require('../batch');
+
+const india = getJurisdiction('india-export');
+const usa = getJurisdiction('usa-import');
+
+const line = (description, policy, policyCondition) => ({
+  description,
+  policy,
+  ...(policyCondition ? { policyCondition, conditions: parsePolicyConditions(policyCondition) } : {})
+});
+
+const indiaDatabase = {
+  hsCodesData: {
+    '85076000': line('Lithium ion batteries', 'Free'),
+    '10063020': line('Basmati rice', 'Free', 'Maximum of 500 MT per shipment'),
+    '44039900': line('Other wood in the rough', 'Prohibited')
+  },
+  itemToHsMap: { 'lithium ion batteries': '85076000', 'basmati rice': '10063020' }
+};
+
+test('parseManifestCsv maps header aliases and keeps quoted commas, quotes and newlines', () => {
+  const csv = '\uFEFFHTS Code,Item Name,Item Weight,Reference\r\n' +
+    '85076000,"Batteries, lithium",12,PO-1\r\n' +
+    '\r\n' +
+    ',"Rice ""basmati""\nlong grain",,PO-2\n';
+
+  assert.deepStrictEqual(parseManifestCsv(csv), [
+    { hsCode: '85076000', itemName: 'Batteries, lithium', itemWeight: '12', reference: 'PO-1' },
+    { itemName: 'Rice "basmati"\nlong grain', reference: 'PO-2' }
+  ]);
+});
+
+test('parseManifestCsv rejects an empty manifest and one without a code or item column', () => {
+  assert.throws(() => parseManifestCsv(''), /The manifest CSV is empty/);
+  assert.throws(() => parseManifestCsv('weight,port\n12,Mumbai'), /needs an hsCode or itemName column/);
+});
+
+test('mapWithConcurrency keeps result order and never runs more than the limit at once', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 5, 20, 10, 1], 2, async (delay, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return index;
+  });
+
+  assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+  assert.strictEqual(peak, 2);
+});
+
+test('checkManifest gives each line its own verdict and summarises the manifest', async () => {
+  const { summary, lines } = await checkManifest([
+    { hsCode: '85076000', reference: 'A' },
+    { itemName: 'basmati rice', itemWeight: '600000' },
+    { hsCode: '44039900' },
+    { hsCode: '99999999' },
+    { itemName: 'moon rocks' },
+    null,
+    ['85076000']
+  ], india, indiaDatabase);
+
+  assert.deepStrictEqual(lines.map(checked => checked.status), ['allowed', 'blocked', 'blocked', 'unknown', 'unresolved', 'invalid', 'invalid']);
+  assert.strictEqual(lines[0].reference, 'A');
+  assert.strictEqual(lines[1].hsCode, '10063020');
+  assert.match(lines[1].reason, /^Policy conditions not met: 600000 kg exceeds the 500000 kg cap/);
+  assert.strictEqual(lines[3].reason, 'The HS Code 99999999 was not found in the export compliance regulations. Please verify the code and try again.');
+  assert.strictEqual(lines[5].reason, 'Line 6 must be an object with hsCode or itemName, got null');
+  assert.strictEqual(lines[6].reason, 'Line 7 must be an object with hsCode or itemName, got an array');
+  assert.deepStrictEqual(summary, {
+    totalLines: 7,
+    allowed: 1,
+    blocked: 2,
+    unknownCodes: 1,
+    unresolvedItems: 1,
+    invalidItems: 2,
+    distinctUnknownCodes: 1,
+    allClear: false,
+    verdict: '2 blocked / 1 unknown codes / 1 unresolved items / 2 invalid items'
+  });
+});
+
+test('checkManifest blocks an import line on its country of origin', async () => {
+  const usaDatabase = { hsCodesData: { '0901210000': line('Coffee, roasted', 'Allowed') }, itemToHsMap: {} };
+  const { summary, lines } = await checkManifest([
+    { hsCode: '0901210000', countryOfOrigin: 'BR' },
+    { hsCode: '0901210000', countryOfOrigin: 'Cuba' }
+  ], usa, usaDatabase, { date: new Date('2026-03-01T12:00:00Z') });
+
+  assert.deepStrictEqual(lines.map(checked => checked.allowed), [true, false]);
+  assert.match(lines[1].reason, /^Import not allowed for HTS Code 0901210000 from Cuba: embargo/);
+  assert.strictEqual(summary.verdict, '1 blocked');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getJurisdiction } = require('../jurisdictions');
+const { extractHSCodes } = require('../extraction');
+const { parsePolicyConditions } = require('../conditions');
+
+const india = getJurisdiction('india-export');
+
+test('extractHSCodes keeps chapter notes out of the previous code\'s conditions', () => {
+  const text = '85076000 Lithium ion batteries Free\n' +
+    'Chapter 86 Notes: exports only through the designated ports of Mumbai. Maximum of 50 kgs per shipment.\n' +
+    '86090000 Containers Free';
+  const { hsCodesData } = extractHSCodes(text, india);
+
+  assert.strictEqual(hsCodesData['85076000'].policyCondition, undefined);
+  assert.strictEqual(hsCodesData['85076000'].conditions, undefined);
+  assert.strictEqual(hsCodesData['86090000'].policy, 'Free');
+});
+
+test('extractHSCodes reads a condition from the rest of the row and the lines it wraps onto', () => {
+  const text = '10063020 Basmati rice Restricted Export through the ports of Mumbai\n' +
+    'and Kandla only. Maximum of 500 MT per shipment.\n' +
+    '\n' +
+    'CHAPTER 11 PRODUCTS OF THE MILLING INDUSTRY\n' +
+    '11010000 Wheat flour Free';
+  const { hsCodesData } = extractHSCodes(text, india);
+  const entry = hsCodesData['10063020'];
+
+  assert.strictEqual(entry.policyCondition, 'Export through the ports of Mumbai and Kandla only. Maximum of 500 MT per shipment.');
+  assert.deepStrictEqual(entry.conditions.find(condition => condition.type === 'port').ports, ['Mumbai', 'Kandla']);
+  assert.strictEqual(entry.conditions.find(condition => condition.type === 'quantity_cap').limitKg, 500000);
+  assert.strictEqual(hsCodesData['11010000'].policyCondition, undefined);
+});
+
+test('extractHSCodes records a code listed twice as a duplicate', () => {
+  const { hsCodesData, duplicates } = extractHSCodes('85076000 Batteries Free\n85076000 Batteries Restricted', india);
+
+  assert.strictEqual(hsCodesData['85076000'].policy, 'Restricted');
+  assert.deepStrictEqual(duplicates, [{ hsCode: '85076000', previousPolicy: 'Free', policy: 'Restricted' }]);
+});
+
+test('parsePolicyConditions types quantity, port, price, material and document conditions', () => {
+  const types = text => parsePolicyConditions(text).map(condition => condition.type);
+
+  assert.deepStrictEqual(parsePolicyConditions(''), []);
+  assert.strictEqual(parsePolicyConditions('Quota of 2,500 kgs per year')[0].limitKg, 2500);
+  assert.strictEqual(parsePolicyConditions('Not exceeding 10 g')[0].limitKg, 0.01);
+  assert.strictEqual(parsePolicyConditions('Subject to MEP of USD 1,200 per MT')[0].minimumUnitPrice, 1200);
+  assert.deepStrictEqual(parsePolicyConditions('Only if made of cotton or jute.')[0].allowedMaterials, ['cotton', 'jute']);
+  assert.deepStrictEqual(parsePolicyConditions('Except those made of sandalwood.')[0].excludedMaterials, ['sandalwood']);
+  assert.deepStrictEqual(types('Export through STEs via the notified ports, subject to registration with APEDA'), ['port', 'ste', 'registration']);
+  assert.deepStrictEqual(types('As per Notification No. 12/2015-2020'), ['reference']);
+  assert.deepStrictEqual(parsePolicyConditions('Subject to review'), [{ type: 'other', text: 'Subject to review' }]);
+});
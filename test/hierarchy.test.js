@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getJurisdiction } = require('../jurisdictions');
+const { inferFromAncestors } = require('../hierarchy');
+
+const india = getJurisdiction('india-export');
+
+const lines = policies => Object.fromEntries(
+  Object.entries(policies).map(([hsCode, policy]) => [hsCode, { description: `Line ${hsCode}`, policy }])
+);
+
+test('inferFromAncestors clears an unlisted code under a subheading whose lines are all Free', () => {
+  const verdict = inferFromAncestors('85076090', lines({ '85076010': 'Free', '85076020': 'Free' }), india);
+
+  assert.strictEqual(verdict.allowed, true);
+  assert.strictEqual(verdict.policy, 'Free');
+  assert.strictEqual(verdict.inferredFrom.code, '850760');
+  assert.strictEqual(verdict.inferredFrom.level, 'subheading');
+  assert.strictEqual(verdict.description, 'Inferred from subheading 850760, 2 of 2 lines Free (2 Free)');
+});
+
+test('inferFromAncestors prefers the subheading over the heading', () => {
+  const verdict = inferFromAncestors('85076090', lines({ '85076010': 'Prohibited', '85071010': 'Free', '85071020': 'Free' }), india);
+
+  assert.strictEqual(verdict.allowed, false);
+  assert.strictEqual(verdict.policy, 'Prohibited');
+  assert.strictEqual(verdict.inferredFrom.code, '850760');
+});
+
+test('inferFromAncestors falls back to the heading when no subheading is listed', () => {
+  const verdict = inferFromAncestors('85078000', lines({ '85071010': 'Free', '85072010': 'Free' }), india);
+
+  assert.strictEqual(verdict.allowed, true);
+  assert.strictEqual(verdict.inferredFrom.code, '8507');
+  assert.strictEqual(verdict.inferredFrom.level, 'heading');
+});
+
+test('inferFromAncestors does not clear a code from too few lines', () => {
+  const verdict = inferFromAncestors('85076090', lines({ '85076010': 'Free' }), india);
+
+  assert.strictEqual(verdict.allowed, false);
+  assert.strictEqual(verdict.policy, 'Indeterminate');
+  assert.match(verdict.description, /at least 2 lines are needed to infer Free$/);
+});
+
+test('inferFromAncestors gives a mixed ancestor an indeterminate verdict', () => {
+  const verdict = inferFromAncestors('85076090', lines({ '85076010': 'Free', '85076020': 'Restricted' }), india);
+
+  assert.strictEqual(verdict.allowed, false);
+  assert.strictEqual(verdict.policy, 'Indeterminate');
+  assert.strictEqual(verdict.inferredFrom.allowedLines, 1);
+  assert.strictEqual(verdict.inferredFrom.totalLines, 2);
+});
+
+test('inferFromAncestors does not infer a verdict from the chapter alone', () => {
+  const verdict = inferFromAncestors('85011000', lines({ '85076000': 'Free' }), india);
+
+  assert.strictEqual(verdict.allowed, false);
+  assert.strictEqual(verdict.policy, 'Indeterminate');
+  assert.strictEqual(verdict.inferredFrom.code, '85');
+  assert.strictEqual(verdict.inferredFrom.level, 'chapter');
+  assert.match(verdict.description, /chapter 85 \(1 listed lines\) is too broad/);
+});
+
+test('inferFromAncestors returns null when not even the chapter is listed', () => {
+  assert.strictEqual(inferFromAncestors('01011000', lines({ '85076000': 'Free' }), india), null);
+  assert.strictEqual(inferFromAncestors('85', lines({ '85076000': 'Free' }), india), null);
+});
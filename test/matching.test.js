@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, levenshtein, rankHSCodeCandidates } = require('../matching');
+
+const database = {
+  hsCodesData: {
+    '85076000': { description: 'Lithium ion batteries', policy: 'Free' },
+    '85065000': { description: 'Lithium metal batteries', policy: 'Free' },
+    '85071000': { description: 'Lead acid accumulators', policy: 'Free' },
+    '85072000': { description: 'Other lead acid accumulators', policy: 'Free' },
+    '10063020': { description: 'Basmati rice', policy: 'Restricted' }
+  },
+  itemToHsMap: {
+    'lithium ion batteries': '85076000',
+    'batteries': '85076000',
+    'lithium metal batteries': '85065000',
+    'lead acid accumulators': '85071000',
+    'other lead acid accumulators': '85072000',
+    'basmati rice': '10063020'
+  }
+};
+
+test('tokenize drops stopwords, punctuation and single characters', () => {
+  assert.deepStrictEqual(tokenize('Parts of the Lithium-ion battery, other than X'), ['parts', 'lithium', 'ion', 'battery']);
+});
+
+test('levenshtein counts edits and stops early past the limit', () => {
+  assert.strictEqual(levenshtein('battery', 'batteries'), 3);
+  assert.strictEqual(levenshtein('battery', 'rice', 2), 3);
+});
+
+test('rankHSCodeCandidates puts an exact item match first with a full score', () => {
+  const [best] = rankHSCodeCandidates('Basmati Rice', database);
+
+  assert.strictEqual(best.hsCode, '10063020');
+  assert.strictEqual(best.score, 1);
+  assert.strictEqual(best.matchedTerm, 'basmati rice');
+});
+
+test('rankHSCodeCandidates tolerates typos and ranks closer terms higher', () => {
+  const candidates = rankHSCodeCandidates('lithum ion baterries', database);
+
+  assert.strictEqual(candidates[0].hsCode, '85076000');
+  assert.strictEqual(candidates[0].matchedTerm, 'lithium ion batteries');
+  assert.ok(candidates[0].score < 1);
+});
+
+test('rankHSCodeCandidates orders by score, then code, and honours limit and minScore', () => {
+  const candidates = rankHSCodeCandidates('lithium ion batteries', database);
+  assert.deepStrictEqual(candidates.map(candidate => candidate.hsCode), ['85076000', '85065000']);
+  assert.ok(candidates[0].score > candidates[1].score);
+
+  // "other" is a stopword, so both accumulator terms score the same and the lower code comes first
+  const tied = rankHSCodeCandidates('acid accumulators', database);
+  assert.deepStrictEqual(tied.map(candidate => candidate.hsCode), ['85071000', '85072000']);
+  assert.strictEqual(tied[0].score, tied[1].score);
+
+  assert.deepStrictEqual(rankHSCodeCandidates('acid accumulators', database, { limit: 1 }).map(candidate => candidate.hsCode), ['85071000']);
+  assert.deepStrictEqual(rankHSCodeCandidates('lithium ion batteries', database, { minScore: 0.99 }).map(candidate => candidate.hsCode), ['85076000']);
+});
+
+test('rankHSCodeCandidates uses description embeddings to find codes that share no words with the query', () => {
+  const withEmbeddings = {
+    ...database,
+    descriptionEmbeddings: {
+      'lithium ion batteries': [1, 0, 0],
+      'lead acid accumulators': [0, 1, 0],
+      'other lead acid accumulators': [0, 0.9, 0.1],
+      'basmati rice': [0, 0, 1]
+    }
+  };
+  const [best] = rankHSCodeCandidates('cells for an electric car', withEmbeddings, { queryEmbedding: [0.95, 0.05, 0] });
+
+  assert.strictEqual(best.hsCode, '85076000');
+  assert.strictEqual(best.matchedTerm, null);
+  assert.ok(best.signals.embedding > 0.9);
+});
+
+test('rankHSCodeCandidates returns no candidates for an unrelated query', () => {
+  assert.deepStrictEqual(rankHSCodeCandidates('zzz', database), []);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getJurisdiction } = require('../jurisdictions');
+const { evaluateOriginMeasures, originBlockReason } = require('../origin-rules');
+
+const usa = getJurisdiction('usa-import');
+
+const on = date => ({ date: new Date(`${date}T12:00:00Z`) });
+
+test('evaluateOriginMeasures blocks any goods of Cuban origin', () => {
+  const check = evaluateOriginMeasures('0901.21.00', 'Republic of Cuba', usa, on('2026-03-01'));
+
+  assert.strictEqual(check.blocked, true);
+  assert.deepStrictEqual(check.country, { code: 'CU', name: 'Cuba' });
+  assert.deepStrictEqual(check.measures.map(measure => measure.id), ['embargo-cuba']);
+  assert.strictEqual(check.measures[0].matchedPrefix, null);
+  assert.strictEqual(
+    originBlockReason(check, usa.codeLabel, '0901210000'),
+    'Import not allowed for HTS Code 0901210000 from Cuba: embargo (31 CFR Part 515 (Cuban Assets Control Regulations))'
+  );
+});
+
+test('evaluateOriginMeasures applies a prefix embargo only to the listed goods', () => {
+  assert.strictEqual(evaluateOriginMeasures('0302110000', 'RU', usa, on('2026-03-01')).blocked, true);
+  assert.strictEqual(evaluateOriginMeasures('8507600020', 'RU', usa, on('2026-03-01')).blocked, false);
+});
+
+test('evaluateOriginMeasures picks the battery duty in effect on the entry date', () => {
+  const before = evaluateOriginMeasures('8507600020', 'CN', usa, on('2020-02-13'));
+  const listFourA = evaluateOriginMeasures('8507600020', 'CN', usa, on('2025-12-31'));
+  const review = evaluateOriginMeasures('8507600020', 'CN', usa, on('2026-01-01'));
+
+  assert.deepStrictEqual(before.measures, []);
+  assert.deepStrictEqual(listFourA.measures.map(measure => measure.id), ['section-301-list-4a-batteries']);
+  assert.strictEqual(listFourA.additionalDutyPercent, 7.5);
+  assert.deepStrictEqual(review.measures.map(measure => measure.id), ['section-301-review-batteries']);
+  assert.strictEqual(review.additionalDutyPercent, 25);
+  assert.strictEqual(review.checkedOn, '2026-01-01');
+});
+
+test('evaluateOriginMeasures charges the country-wide AD rate as a cash deposit', () => {
+  const check = evaluateOriginMeasures('7604.10.10', 'China', usa, on('2026-03-01'));
+
+  assert.strictEqual(check.blocked, false);
+  assert.strictEqual(check.additionalDutyPercent, 0);
+  assert.strictEqual(check.cashDepositPercent, 86.01);
+  assert.strictEqual(check.measures[0].rateBasis, 'all others');
+  assert.strictEqual(check.measures[0].matchedPrefix, '7604');
+});
+
+test('evaluateOriginMeasures reports whether a quota certificate was declared', () => {
+  const without = evaluateOriginMeasures('1701130000', 'BR', usa, on('2026-03-01'));
+  const withCertificate = evaluateOriginMeasures('1701130000', 'BR', usa, { ...on('2026-03-01'), documents: ['CQE'] });
+
+  assert.strictEqual(without.measures[0].effect, 'quota');
+  assert.strictEqual(without.measures[0].documentType, 'cqe');
+  assert.strictEqual(without.measures[0].documentProvided, false);
+  assert.strictEqual(withCertificate.measures[0].documentProvided, true);
+  assert.strictEqual(withCertificate.blocked, false);
+});
+
+test('evaluateOriginMeasures notes a country it has no rules for', () => {
+  const check = evaluateOriginMeasures('8507600020', 'Atlantis', usa, on('2026-03-01'));
+
+  assert.strictEqual(check.country, null);
+  assert.strictEqual(check.blocked, false);
+  assert.deepStrictEqual(check.measures, []);
+  assert.strictEqual(check.note, 'Atlantis is not in the origin rules table, so no origin-specific measures could be checked');
+});
+
+test('evaluateOriginMeasures returns null for a jurisdiction without a rules table', () => {
+  assert.strictEqual(evaluateOriginMeasures('85076000', 'CN', getJurisdiction('india-export')), null);
+});
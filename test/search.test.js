@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { searchCodes } = require('../search');
+
+const hsCodesData = {
+  '85076000': { description: 'Lithium ion batteries', policy: 'Free', provenance: { method: 'layout' } },
+  '85071000': { description: 'Lead acid accumulators', policy: 'Free', provenance: { method: 'regex' } },
+  '85171300': { description: 'Smartphones', policy: 'Restricted' },
+  '84713010': { description: 'Portable computers', policy: 'Free', provenance: { method: 'ai' } },
+  '84713090': { description: 'Other computers', policy: 'Prohibited', policyCondition: 'Subject to licence' },
+  '10063020': { description: 'Basmati rice', policy: 'Restricted' },
+  '10063090': { description: 'Other rice, semi-milled', policy: 'Free' }
+};
+
+const codes = result => result.results.map(entry => entry.hsCode);
+
+// Follow nextCursor until the last page and return every page's codes
+function allPages(options) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = searchCodes(hsCodesData, { ...options, cursor });
+    pages.push(codes(page));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('searchCodes lists every code in code order by default', () => {
+  const result = searchCodes(hsCodesData);
+
+  assert.strictEqual(result.sort, 'code');
+  assert.strictEqual(result.total, 7);
+  assert.deepStrictEqual(codes(result), Object.keys(hsCodesData).sort());
+  assert.strictEqual(result.nextCursor, null);
+});
+
+test('cursor pages cover each code once, in order, for every sort and direction', () => {
+  assert.deepStrictEqual(allPages({ limit: 3 }), [
+    ['10063020', '10063090', '84713010'],
+    ['84713090', '85071000', '85076000'],
+    ['85171300']
+  ]);
+  // Equal policies keep ascending codes whatever the direction
+  assert.deepStrictEqual(allPages({ sort: 'policy', order: 'desc', limit: 2 }).flat(), [
+    '10063020', '85171300', '84713090', '10063090', '84713010', '85071000', '85076000'
+  ]);
+});
+
+test('a cursor names the last result, so a code added between pages does not repeat or skip one', () => {
+  const first = searchCodes(hsCodesData, { limit: 2 });
+  hsCodesData['10000000'] = { description: 'Cereals', policy: 'Free' };
+  try {
+    const second = searchCodes(hsCodesData, { limit: 2, cursor: first.nextCursor });
+    assert.deepStrictEqual(codes(second), ['84713010', '84713090']);
+  } finally {
+    delete hsCodesData['10000000'];
+  }
+});
+
+test('a query matches whole words and prefixes, ranked by relevance', () => {
+  const result = searchCodes(hsCodesData, { q: 'comput' });
+
+  assert.strictEqual(result.sort, 'relevance');
+  assert.deepStrictEqual(codes(result), ['84713010', '84713090']);
+  assert.ok(result.results.every(entry => entry.score > 0));
+  assert.strictEqual(result.results[1].policyCondition, 'Subject to licence');
+
+  assert.deepStrictEqual(codes(searchCodes(hsCodesData, { q: 'rice basmati' })), ['10063020']);
+});
+
+test('policy, chapter, prefix and extractedBy filters combine', () => {
+  assert.deepStrictEqual(codes(searchCodes(hsCodesData, { policy: 'free,restricted', chapter: '10' })), ['10063020', '10063090']);
+  assert.deepStrictEqual(codes(searchCodes(hsCodesData, { prefix: ['8471', '8507'], policy: 'FREE' })), ['84713010', '85071000', '85076000']);
+  assert.deepStrictEqual(codes(searchCodes(hsCodesData, { extractedBy: 'unknown', chapter: 85 })), ['85171300']);
+});
+
+test('item terms mapped to a code are searched and listed with it', () => {
+  const result = searchCodes(hsCodesData, { q: 'laptop', itemToHsMap: { laptops: '84713010', 'laptop bags': '42021210' } });
+
+  assert.deepStrictEqual(codes(result), ['84713010']);
+  assert.deepStrictEqual(result.results[0].items, ['laptops']);
+  assert.strictEqual(result.itemsTotal, 1);
+});
+
+test('searchCodes rejects invalid parameters with a message for the caller', () => {
+  const cursor = searchCodes(hsCodesData, { limit: 1 }).nextCursor;
+
+  assert.throws(() => searchCodes(hsCodesData, { limit: 0 }), /limit must be an integer between 1 and 500/);
+  assert.throws(() => searchCodes(hsCodesData, { limit: '2.5' }), /limit must be an integer between 1 and 500/);
+  assert.throws(() => searchCodes(hsCodesData, { cursor: 'not-a-cursor' }), /^Error: Invalid cursor$/);
+  assert.throws(() => searchCodes(hsCodesData, { sort: 'description', cursor }), /belongs to a search with a different sort order/);
+  assert.throws(() => searchCodes(hsCodesData, { sort: 'relevance' }), /Sorting by relevance needs a query/);
+  assert.throws(() => searchCodes(hsCodesData, { sort: 'price' }), /Unknown sort: price/);
+  assert.throws(() => searchCodes(hsCodesData, { order: 'up' }), /Unknown order: up/);
+  assert.throws(() => searchCodes(hsCodesData, { chapter: 'x1' }), /Chapters and prefixes must be digits: x1/);
+  assert.throws(() => searchCodes(hsCodesData, { extractedBy: 'ocr' }), /Unknown extraction methods: ocr/);
+  assert.throws(() => searchCodes(hsCodesData, { q: 'of the' }), /has no searchable words/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getJurisdiction } = require('../jurisdictions');
+const { extractTableRows } = require('../table-extraction');
+
+const india = getJurisdiction('india-export');
+
+// A positioned text item as recorded by the layout renderer; width is estimated from the text length
+const item = (x, y, text) => ({ x, y, width: text.length * 5, height: 10, text });
+
+const page = (number, items) => ({ number, height: 800, items, text: items.map(entry => entry.text).join(' ') });
+
+const headerRow = y => [
+  item(50, y, 'ITC(HS) Code'),
+  item(150, y, 'Description'),
+  item(350, y, 'Export Policy'),
+  item(450, y, 'Policy Condition')
+];
+
+test('extractTableRows reads codes, descriptions, policies and conditions by column', () => {
+  const result = extractTableRows([page(1, [
+    ...headerRow(700),
+    item(50, 680, '85076000'), item(150, 680, 'Lithium ion batteries'), item(350, 680, 'Free'),
+    item(50, 660, '03061100'), item(150, 660, 'Rock lobster'), item(350, 660, 'Restricted'),
+    item(450, 660, 'Exports permitted under licence')
+  ])], india, 'schedule.pdf');
+
+  assert.deepStrictEqual(result.report.columns, ['code', 'description', 'policy', 'condition']);
+  assert.strictEqual(result.report.rows, 2);
+  assert.strictEqual(result.hsCodesData['85076000'].policy, 'Free');
+  assert.strictEqual(result.hsCodesData['85076000'].policyCondition, undefined);
+  assert.deepStrictEqual(result.hsCodesData['85076000'].provenance, { method: 'layout', source: 'schedule.pdf', chunk: null, page: 1 });
+  assert.strictEqual(result.hsCodesData['03061100'].policyCondition, 'Exports permitted under licence');
+  assert.deepStrictEqual(result.hsCodesData['03061100'].conditions.map(condition => condition.type), ['licence']);
+});
+
+test('extractTableRows continues a wrapped row and closes hyphenated words', () => {
+  const result = extractTableRows([page(1, [
+    ...headerRow(700),
+    item(50, 680, '03061100'), item(150, 680, 'Rock lobster and other sea cray-'), item(350, 680, 'Restricted'),
+    item(450, 680, 'Export through the ports of Mumbai'),
+    item(150, 668, 'fish, frozen'), item(450, 668, 'and Chennai only')
+  ])], india);
+
+  const entry = result.hsCodesData['03061100'];
+  assert.strictEqual(entry.description, 'Rock lobster and other sea crayfish, frozen');
+  assert.strictEqual(entry.policyCondition, 'Export through the ports of Mumbai and Chennai only');
+  assert.deepStrictEqual(entry.conditions.find(condition => condition.type === 'port').ports, ['Mumbai', 'Chennai']);
+});
+
+test('extractTableRows reports chapter notes instead of folding them into the previous row', () => {
+  const result = extractTableRows([page(1, [
+    ...headerRow(700),
+    item(50, 680, '85076000'), item(150, 680, 'Lithium ion batteries'), item(350, 680, 'Free'),
+    item(50, 650, 'Chapter 86 Notes: exports only through the designated ports of Mumbai'),
+    item(50, 620, '86090000'), item(150, 620, 'Containers'), item(350, 620, 'Free')
+  ])], india);
+
+  assert.strictEqual(result.hsCodesData['85076000'].policyCondition, undefined);
+  assert.strictEqual(result.report.unparsedLinesCount, 1);
+  assert.strictEqual(result.report.unparsedLines[0].reason, 'not a table row');
+});
+
+test('extractTableRows flags rows whose policy it cannot recognise', () => {
+  const result = extractTableRows([page(1, [
+    ...headerRow(700),
+    item(50, 680, '85076000'), item(150, 680, 'Lithium ion batteries'), item(350, 680, 'Free'),
+    item(50, 660, '85078000'), item(150, 660, 'Other accumulators'), item(350, 660, 'See notes')
+  ])], india);
+
+  assert.deepStrictEqual(Object.keys(result.hsCodesData), ['85076000']);
+  assert.deepStrictEqual(result.report.incompleteRows.map(row => [row.hsCode, row.reason]), [
+    ['85078000', 'unrecognised policy "See notes"']
+  ]);
+});
+
+test('extractTableRows finds columns without a header and skips repeated page furniture', () => {
+  const pages = [1, 2].map(number => page(number, [
+    item(250, 780, 'Schedule 2 - Export Policy'),
+    item(50, 680, `8507${number}000`), item(150, 680, 'Accumulators'), item(350, 680, 'Free'),
+    item(300, 20, `Page ${number}`)
+  ]));
+  const result = extractTableRows(pages, india);
+
+  assert.deepStrictEqual(Object.keys(result.hsCodesData).sort(), ['85071000', '85072000']);
+  assert.strictEqual(result.report.unparsedLinesCount, 0);
+});
+
+test('extractTableRows returns null when there is no table with a policy column', () => {
+  assert.strictEqual(extractTableRows([page(1, [item(50, 700, 'Foreign Trade Policy 2023, chapter 2')])], india), null);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getJurisdiction } = require('../jurisdictions');
+const { parsePolicyConditions } = require('../conditions');
+const { checkTradeLane } = require('../trade-lane');
+
+const india = getJurisdiction('india-export');
+const usa = getJurisdiction('usa-import');
+
+const line = (description, policy, policyCondition) => ({
+  description,
+  policy,
+  ...(policyCondition ? { policyCondition, conditions: parsePolicyConditions(policyCondition) } : {})
+});
+
+const databases = {
+  'india-export': {
+    hsCodesData: {
+      '85076000': line('Lithium ion batteries', 'Free'),
+      '03061100': line('Rock lobster', 'Free'),
+      '44039900': line('Other wood in the rough', 'Prohibited'),
+      '09011100': line('Coffee, not roasted', 'Free')
+    },
+    itemToHsMap: {}
+  },
+  'usa-import': {
+    hsCodesData: {
+      '8507600010': line('Lithium-ion batteries for electric vehicles', 'Allowed'),
+      '8507600020': line('Other lithium-ion batteries', 'Allowed'),
+      '0306110010': line('Rock lobster, frozen', 'Restricted'),
+      '0306110020': line('Rock lobster tails', 'Allowed', 'Entry through the ports of Boston or Miami only')
+    },
+    itemToHsMap: {}
+  }
+};
+
+const checkLane = (hsCode, shipment = {}) => checkTradeLane({
+  hsCode,
+  exportJurisdiction: india,
+  importJurisdiction: usa,
+  getDatabase: jurisdiction => databases[jurisdiction.id],
+  shipment
+});
+
+test('checkTradeLane clears a lane when both legs allow the code', async () => {
+  const lane = await checkLane('85076000');
+
+  assert.strictEqual(lane.allowed, true);
+  assert.deepStrictEqual(lane.legs.import.mappedHsCodes.map(mapped => mapped.hsCode), ['8507600010', '8507600020']);
+  assert.strictEqual(lane.legs.import.reason, null);
+});
+
+test('checkTradeLane refuses a mapped import line on policy and on unmet conditions, with a reason for each', async () => {
+  const lane = await checkLane('03061100', { port: 'Seattle' });
+  const importLeg = lane.legs.import;
+
+  assert.strictEqual(lane.allowed, false);
+  assert.deepStrictEqual(lane.blockingLegs, ['import']);
+  assert.strictEqual(importLeg.policy, 'Mixed');
+  assert.strictEqual(importLeg.mappedHsCodes[0].reason, 'Import not allowed for HTS Code 0306110010 with policy Restricted');
+  assert.strictEqual(importLeg.mappedHsCodes[1].allowed, false);
+  assert.deepStrictEqual(importLeg.mappedHsCodes[1].unmetConditions.map(condition => condition.type), ['port']);
+  assert.match(importLeg.reason, /^Import not allowed for HTS Code 0306110010 with policy Restricted; Import not allowed for HTS Code 0306110020: policy conditions not met/);
+});
+
+test('checkTradeLane gives the export leg a reason when its policy refuses the code', async () => {
+  const lane = await checkLane('44039900');
+
+  assert.strictEqual(lane.blockingLeg, 'export');
+  assert.strictEqual(lane.legs.export.reason, 'Export not allowed for HS Code 44039900 with policy Prohibited');
+});
+
+test('checkTradeLane reports a code with no corresponding destination line without looking it up as a destination code', async () => {
+  const lane = await checkLane('09011100');
+
+  assert.strictEqual(lane.legs.import.exists, false);
+  assert.strictEqual(lane.legs.import.allowed, false);
+  assert.strictEqual(
+    lane.legs.import.reason,
+    'No HTS line in the USA import regulations corresponds to HS Code 09011100: no line shares its subheading 090111'
+  );
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Index from 50 chunks up, so the tests stay small; the threshold is read when the module loads
+process.env.VECTOR_INDEX_MIN_CHUNKS = '50';
+process.env.VECTOR_INDEX_NPROBE = '2';
+
+const { needsVectorIndex, buildVectorIndex, isVectorIndexCurrent, searchChunks } = require('../vector-index');
+
+// Chunks around four well separated directions in 8 dimensions, with small deterministic offsets
+function makeChunks(count) {
+  return Array.from({ length: count }, (_, index) => {
+    const group = index % 4;
+    const embedding = Array.from({ length: 8 }, (_, dimension) =>
+      (dimension === group * 2 ? 1 : 0) + 0.05 * Math.sin(index * 7 + dimension));
+    return { id: `chunk-${index}`, content: `chunk ${index} in group ${group}`, source: 'test.pdf', embedding };
+  });
+}
+
+const ids = results => results.map(result => result.chunk.id);
+
+test('a small database is searched exactly without an index', () => {
+  const chunks = makeChunks(20);
+
+  assert.strictEqual(needsVectorIndex(chunks), false);
+  assert.strictEqual(buildVectorIndex(chunks), null);
+
+  const { method, results } = searchChunks(chunks[5].embedding, chunks, null, { topK: 3 });
+  assert.strictEqual(method, 'exact');
+  assert.strictEqual(results[0].chunk.id, 'chunk-5');
+  assert.ok(results.every(result => result.chunk.content.endsWith('group 1')));
+});
+
+test('buildVectorIndex assigns every chunk to exactly one list and tracks the chunk set it was built from', () => {
+  const chunks = makeChunks(100);
+  const index = buildVectorIndex(chunks);
+
+  assert.strictEqual(index.type, 'ivf');
+  assert.strictEqual(index.centroids.length, 10);
+  assert.deepStrictEqual(index.lists.flat().sort(), chunks.map(chunk => chunk.id).sort());
+  assert.strictEqual(isVectorIndexCurrent(index, chunks), true);
+  assert.strictEqual(isVectorIndexCurrent(index, chunks.slice(1)), false);
+  assert.strictEqual(isVectorIndexCurrent(null, chunks), false);
+});
+
+test('an IVF search returns the same top chunks as an exact scan', () => {
+  const chunks = makeChunks(100);
+  const index = buildVectorIndex(chunks);
+  const query = chunks[42].embedding;
+
+  const ivf = searchChunks(query, chunks, index, { topK: 5 });
+  const exact = searchChunks(query, chunks, null, { topK: 5 });
+
+  assert.strictEqual(ivf.method, 'ivf');
+  assert.strictEqual(exact.method, 'exact');
+  assert.deepStrictEqual(ids(ivf.results), ids(exact.results));
+  assert.strictEqual(ivf.results[0].chunk.id, 'chunk-42');
+});
+
+test('an index built for a different number of chunks falls back to an exact scan', () => {
+  const chunks = makeChunks(100);
+  const index = buildVectorIndex(chunks.slice(0, 60));
+
+  assert.strictEqual(searchChunks(chunks[99].embedding, chunks, index).method, 'exact');
+});
+
+test('searchChunks drops results below minSimilarity', () => {
+  const chunks = makeChunks(20);
+  const { results } = searchChunks(chunks[0].embedding, chunks, null, { topK: 20, minSimilarity: 0.9 });
+
+  assert.ok(results.length > 0 && results.length < 20);
+  assert.ok(results.every(result => result.similarity >= 0.9));
+});
+
+test('chunks held by id are read from the chunk store and scored like loaded ones', () => {
+  const chunks = makeChunks(100);
+  const index = buildVectorIndex(chunks);
+  const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const requests = [];
+  const chunkStore = {
+    get(requested) {
+      requests.push(requested.length);
+      return requested.map(id => byId.get(id));
+    }
+  };
+  const refs = chunks.map(({ id, source }) => ({ id, source }));
+  const query = chunks[7].embedding;
+
+  const lazyIvf = searchChunks(query, refs, index, { topK: 5, chunkStore });
+  const lazyExact = searchChunks(query, refs, null, { topK: 5, chunkStore });
+  const loaded = searchChunks(query, chunks, null, { topK: 5 });
+
+  assert.strictEqual(lazyIvf.method, 'ivf');
+  assert.deepStrictEqual(ids(lazyIvf.results), ids(loaded.results));
+  assert.deepStrictEqual(ids(lazyExact.results), ids(loaded.results));
+  assert.strictEqual(lazyExact.results[0].chunk.content, 'chunk 7 in group 3');
+  // The IVF search only reads the chunks in the probed lists
+  assert.ok(requests[0] < chunks.length);
+  assert.strictEqual(requests[1], chunks.length);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The JSON store reads its paths when it is first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.WEBHOOKS_PATH = path.join(dataDir, 'webhooks.json');
+process.env.WEBHOOK_DELIVERIES_PATH = path.join(dataDir, 'webhook-deliveries.json');
+
+const { getJurisdiction } = require('../jurisdictions');
+const { recordVersion } = require('../versions');
+const {
+  createWebhook,
+  deleteWebhook,
+  describeWebhook,
+  signPayload,
+  notifyVersionChanges,
+  resumePendingDeliveries,
+  listDeliveries,
+  flushDeliveries
+} = require('../webhooks');
+
+// A copy of the Indian dataset whose versions live in the temporary directory
+const jurisdiction = { ...getJurisdiction('india-export'), id: 'webhook-test', versionsDir: path.join(dataDir, 'versions') };
+
+// A local endpoint that records each request and answers with the next queued status (200 once they run out)
+function startReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for webhook delivery');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('a delivery pending at shutdown is retried from the stored log after a restart', async () => {
+  const receiver = await startReceiver();
+  const webhook = { id: 'hook-1', url: receiver.url, codePrefixes: [], chapters: [], events: ['policy_changed'], secret: 's3cret' };
+  const body = JSON.stringify({ deliveryId: 'delivery-1', event: 'codes.changed', changes: [] });
+  fs.writeFileSync(process.env.WEBHOOKS_PATH, JSON.stringify([webhook]));
+  fs.writeFileSync(process.env.WEBHOOK_DELIVERIES_PATH, JSON.stringify([{
+    id: 'delivery-1',
+    webhookId: 'hook-1',
+    jurisdiction: 'india-export',
+    status: 'pending',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    nextAttemptAt: '2026-01-01T00:00:30.000Z',
+    error: 'Endpoint responded with 503',
+    attempts: [{ attemptedAt: '2026-01-01T00:00:00.000Z', statusCode: 503, error: 'Endpoint responded with 503', durationMs: 4 }],
+    body
+  }]));
+
+  try {
+    assert.strictEqual(resumePendingDeliveries(), 1);
+    await waitFor(() => listDeliveries('hook-1')[0].status !== 'pending');
+
+    const [delivery] = listDeliveries('hook-1');
+    assert.strictEqual(delivery.status, 'succeeded');
+    assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.statusCode), [503, 200]);
+    assert.strictEqual(receiver.received[0].body, body);
+    const timestamp = receiver.received[0].headers['x-webhook-timestamp'];
+    assert.strictEqual(receiver.received[0].headers['x-webhook-signature'], `sha256=${signPayload('s3cret', timestamp, body)}`);
+
+    flushDeliveries();
+    const stored = JSON.parse(fs.readFileSync(process.env.WEBHOOK_DELIVERIES_PATH, 'utf8'));
+    assert.strictEqual(stored[0].status, 'succeeded');
+    assert.strictEqual(stored[0].attempts.length, 2);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('signPayload is an HMAC-SHA256 of the timestamp and body, so a new timestamp needs a new signature', () => {
+  const expected = crypto.createHmac('sha256', 'key').update('1700000000.{"a":1}').digest('hex');
+
+  assert.strictEqual(signPayload('key', '1700000000', '{"a":1}'), expected);
+  assert.notStrictEqual(signPayload('key', '1700000001', '{"a":1}'), expected);
+  assert.notStrictEqual(signPayload('other', '1700000000', '{"a":1}'), expected);
+});
+
+test('createWebhook normalises filters, applies the default events and hides the secret when described', () => {
+  const webhook = createWebhook({ url: 'https://example.com/hook', chapters: ['9', 10], codePrefixes: ' 8507 ' });
+
+  assert.deepStrictEqual(webhook.chapters, ['09', '10']);
+  assert.deepStrictEqual(webhook.codePrefixes, ['8507']);
+  assert.deepStrictEqual(webhook.events, ['policy_changed', 'description_changed']);
+  assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+  assert.strictEqual(describeWebhook(webhook).secret, undefined);
+  deleteWebhook(webhook.id);
+});
+
+test('createWebhook rejects bad urls, filters and events', () => {
+  assert.throws(() => createWebhook({ url: 'not a url' }), /Invalid webhook url: not a url/);
+  assert.throws(() => createWebhook({ url: 'ftp://example.com/hook' }), /must use http or https/);
+  assert.throws(() => createWebhook({ url: 'https://example.com', codePrefixes: ['85x'] }), /Code prefixes must be digits: 85x/);
+  assert.throws(() => createWebhook({ url: 'https://example.com', chapters: ['123'] }), /Chapters must be one or two digits: 123/);
+  assert.throws(() => createWebhook({ url: 'https://example.com', events: ['price_changed'] }), /Unknown webhook events: price_changed/);
+  assert.throws(() => createWebhook({ url: 'https://example.com', events: [] }), /Unknown webhook events: \(none given\)/);
+});
+
+test('notifyVersionChanges sends each subscription only the changes it asked for and does not retry a 4xx', async () => {
+  const receiver = await startReceiver();
+  const rejecting = await startReceiver([400]);
+  deleteWebhook('hook-1');
+
+  try {
+    const batteries = createWebhook({ url: receiver.url, jurisdiction: 'webhook-test', codePrefixes: ['8507'], secret: 'battery-secret' });
+    const newRice = createWebhook({ url: receiver.url, jurisdiction: 'webhook-test', chapters: ['10'], events: ['code_added'] });
+    const rice = createWebhook({ url: rejecting.url, jurisdiction: 'webhook-test', chapters: ['10'] });
+
+    recordVersion(jurisdiction, { hsCodesData: {
+      '85076000': { description: 'Lithium ion batteries', policy: 'Free' },
+      '10063020': { description: 'Basmati rice', policy: 'Free' }
+    } });
+    assert.deepStrictEqual(notifyVersionChanges(jurisdiction, '1'), []);
+
+    const { id } = recordVersion(jurisdiction, { hsCodesData: {
+      '85076000': { description: 'Lithium ion batteries', policy: 'Restricted' },
+      '10063020': { description: 'Basmati rice, husked', policy: 'Free' }
+    } });
+    const queued = notifyVersionChanges(jurisdiction, id);
+
+    assert.deepStrictEqual(queued.map(delivery => delivery.webhookId), [batteries.id, rice.id]);
+    assert.deepStrictEqual(queued[0].payload.changes, [
+      { event: 'policy_changed', hsCode: '85076000', description: 'Lithium ion batteries', from: 'Free', to: 'Restricted' }
+    ]);
+    assert.deepStrictEqual(queued[1].payload.changes.map(change => change.event), ['description_changed']);
+    assert.deepStrictEqual(listDeliveries(newRice.id), []);
+
+    await waitFor(() => listDeliveries(batteries.id)[0].status !== 'pending' && listDeliveries(rice.id)[0].status !== 'pending');
+
+    const [sent] = receiver.received;
+    assert.strictEqual(sent.headers['x-webhook-id'], batteries.id);
+    assert.strictEqual(sent.headers['x-webhook-signature'], `sha256=${signPayload('battery-secret', sent.headers['x-webhook-timestamp'], sent.body)}`);
+    assert.strictEqual(listDeliveries(batteries.id)[0].status, 'succeeded');
+
+    const [refused] = listDeliveries(rice.id);
+    assert.strictEqual(refused.status, 'failed');
+    assert.strictEqual(refused.attempts.length, 1);
+    assert.strictEqual(refused.error, 'Endpoint responded with 400');
+  } finally {
+    await receiver.close();
+    await rejecting.close();
+  }
+});
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
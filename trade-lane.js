@@ -0,0 +1,199 @@
+const { listJurisdictions } = require('./jurisdictions');
+const { findHSCodeByItemName, checkHSCodeCompliance, evaluateCodeConditions, checkCountryRestriction } = require('./compliance');
+const { evaluateOriginMeasures, originBlockReason } = require('./origin-rules');
+
+// Codes are comparable across national tariff schedules only up to the 6-digit HS subheading
+const SHARED_PREFIX_LENGTH = 6;
+
+// Find the export rule set of the origin country and the import rule set of the destination
+function findLaneJurisdictions(origin, destination) {
+  const matchesCountry = (jurisdiction, country) =>
+    jurisdiction.country.toLowerCase() === String(country).toLowerCase() ||
+    jurisdiction.id.toLowerCase() === String(country).toLowerCase();
+
+  const jurisdictions = listJurisdictions();
+
+  return {
+    exportJurisdiction: jurisdictions.find(j => j.direction === 'export' && matchesCountry(j, origin)) || null,
+    importJurisdiction: jurisdictions.find(j => j.direction === 'import' && matchesCountry(j, destination)) || null
+  };
+}
+
+// Map a code onto the destination schedule's lines sharing its 6-digit subheading
+function mapCodeToSchedule(hsCode, targetDatabase) {
+  const hsCodesData = targetDatabase.hsCodesData || {};
+  const prefix = hsCode.substring(0, SHARED_PREFIX_LENGTH);
+
+  if (hsCodesData[hsCode]) {
+    return { prefix, exactMatch: true, candidates: [hsCode] };
+  }
+
+  const candidates = hsCode.length >= SHARED_PREFIX_LENGTH
+    ? Object.keys(hsCodesData).filter(code => code.startsWith(prefix)).sort()
+    : [];
+
+  return { prefix, exactMatch: false, candidates };
+}
+
+// Why a leg refuses a code: its policy, or the policy conditions the shipment does not meet
+function refusalReason(jurisdiction, hsCode, compliance, conditionCheck) {
+  const verb = jurisdiction.direction.charAt(0).toUpperCase() + jurisdiction.direction.slice(1);
+  if (!compliance.allowed) {
+    return compliance.reason || `${verb} not allowed for ${jurisdiction.codeLabel} Code ${hsCode} with policy ${compliance.policy}`;
+  }
+  return `${verb} not allowed for ${jurisdiction.codeLabel} Code ${hsCode}: policy conditions not met ` +
+    `(${conditionCheck.unmetConditions.map(condition => condition.detail).join('; ')})`;
+}
+
+// Run the export leg at origin and the import leg at destination and combine the verdicts
+async function checkTradeLane({ hsCode, itemName, exportJurisdiction, importJurisdiction, getDatabase, shipment = {}, options = {} }) {
+  const exportDatabase = getDatabase(exportJurisdiction);
+  const importDatabase = getDatabase(importJurisdiction);
+
+  let codeToCheck = hsCode;
+
+  // Resolve item names against the export schedule first, then the import schedule
+  if (!codeToCheck && itemName) {
+    codeToCheck = findHSCodeByItemName(itemName, exportDatabase.itemToHsMap) ||
+      findHSCodeByItemName(itemName, importDatabase.itemToHsMap);
+
+    if (!codeToCheck) {
+      return null;
+    }
+  }
+
+  const exportCompliance = await checkHSCodeCompliance(codeToCheck, exportDatabase, exportJurisdiction);
+  const exportConditions = evaluateCodeConditions(exportCompliance, shipment);
+  const exportLeg = {
+    jurisdiction: exportJurisdiction.id,
+    hsCode: codeToCheck,
+    exists: exportCompliance.exists,
+    allowed: exportConditions.allowed,
+    policy: exportCompliance.policy || null,
+    description: exportCompliance.description || null,
+    inferredFrom: exportCompliance.inferredFrom || null,
+    policyConditions: exportConditions.conditions,
+    conditionSummary: exportConditions.summary,
+    reason: exportConditions.allowed ? null : refusalReason(exportJurisdiction, codeToCheck, exportCompliance, exportConditions)
+  };
+
+  const mapping = mapCodeToSchedule(codeToCheck, importDatabase);
+  const importLeg = {
+    jurisdiction: importJurisdiction.id,
+    sharedPrefix: mapping.prefix,
+    exactMatch: mapping.exactMatch,
+    mappedHsCodes: [],
+    ambiguous: mapping.candidates.length > 1
+  };
+
+  if (mapping.candidates.length > 0) {
+    const lines = await Promise.all(mapping.candidates.map(async code => {
+      const compliance = await checkHSCodeCompliance(code, importDatabase, importJurisdiction);
+      const conditionCheck = evaluateCodeConditions(compliance, shipment);
+      return {
+        hsCode: code,
+        allowed: conditionCheck.allowed,
+        policy: compliance.policy,
+        description: compliance.description,
+        policyConditions: conditionCheck.conditions,
+        unmetConditions: conditionCheck.unmetConditions,
+        reason: conditionCheck.allowed ? null : refusalReason(importJurisdiction, code, compliance, conditionCheck)
+      };
+    }));
+    const policies = [...new Set(lines.map(line => line.policy))];
+
+    // Several tariff lines can share a subheading; only clear the leg if every one is allowed under its conditions
+    importLeg.mappedHsCodes = lines;
+    importLeg.exists = true;
+    importLeg.allowed = lines.every(line => line.allowed);
+    importLeg.policy = policies.length === 1 ? policies[0] : 'Mixed';
+    importLeg.reason = lines.filter(line => !line.allowed).map(line => line.reason).join('; ') || null;
+  } else {
+    // No destination line shares the subheading; a listed heading can still give an inferred verdict, but the
+    // export code is never a destination code, so it is not sent down the unknown-code explanation path
+    const compliance = await checkHSCodeCompliance(codeToCheck, importDatabase, importJurisdiction, { generateReason: false });
+    const conditionCheck = evaluateCodeConditions(compliance, shipment);
+    importLeg.exists = compliance.exists;
+    importLeg.allowed = conditionCheck.allowed;
+    importLeg.policy = compliance.policy || null;
+    importLeg.description = compliance.description || null;
+    importLeg.inferredFrom = compliance.inferredFrom || null;
+    importLeg.policyConditions = conditionCheck.conditions;
+    importLeg.unmetConditions = conditionCheck.unmetConditions;
+
+    if (!compliance.exists) {
+      importLeg.reason = `No ${importJurisdiction.codeLabel} line in the ${importJurisdiction.regulationName} corresponds to ` +
+        `${exportJurisdiction.codeLabel} Code ${codeToCheck}: no line shares its subheading ${mapping.prefix}`;
+    } else {
+      importLeg.reason = conditionCheck.allowed ? null : refusalReason(importJurisdiction, codeToCheck, compliance, conditionCheck);
+    }
+  }
+
+  if (importLeg.exists && importJurisdiction.checkCountryOfOrigin) {
+    // The goods originate in the export country; measures on that origin can block an otherwise allowed import.
+    // Origin rules are often keyed on full national lines, so each mapped line is evaluated on its own
+    const evaluateOrigin = code => evaluateOriginMeasures(code, exportJurisdiction.country, importJurisdiction, {
+      manufacturer: shipment.itemManufacturer,
+      documents: shipment.documents
+    });
+    const originLines = importLeg.mappedHsCodes.length > 0
+      ? importLeg.mappedHsCodes
+      : [{ hsCode: codeToCheck, allowed: importLeg.allowed }];
+
+    originLines.forEach(line => {
+      line.originMeasures = evaluateOrigin(line.hsCode);
+      if (line.originMeasures && line.originMeasures.blocked) line.allowed = false;
+    });
+
+    const blockedLines = originLines.filter(line => line.originMeasures && line.originMeasures.blocked);
+    const measureSets = new Set(originLines.map(line => (line.originMeasures ? line.originMeasures.measures.map(measure => measure.id).sort().join(',') : '')));
+
+    if (importLeg.mappedHsCodes.length === 0) {
+      importLeg.originMeasures = originLines[0].originMeasures;
+    } else {
+      importLeg.originMeasures = importLeg.mappedHsCodes.length === 1 ? importLeg.mappedHsCodes[0].originMeasures : null;
+      // Lines of one subheading can carry different measures; the verdict then depends on which line the goods fall under
+      importLeg.originDependsOnLine = measureSets.size > 1;
+    }
+
+    if (blockedLines.length > 0) {
+      const originReason = blockedLines
+        .map(line => originBlockReason(line.originMeasures, importJurisdiction.codeLabel, line.hsCode))
+        .join('; ');
+      importLeg.reason = importLeg.allowed ? originReason : `${importLeg.reason}; ${originReason}`;
+      importLeg.allowed = false;
+    }
+
+    if (importLeg.allowed && options.explainOrigin) {
+      const descriptions = importLeg.mappedHsCodes.map(line => line.description).join('; ') ||
+        importLeg.description || exportLeg.description;
+      importLeg.countryRestriction = await checkCountryRestriction(
+        importLeg.mappedHsCodes.length === 1 ? importLeg.mappedHsCodes[0].hsCode : codeToCheck,
+        descriptions,
+        exportJurisdiction.countryName,
+        importJurisdiction
+      );
+    }
+  }
+
+  const blockingLegs = [];
+  if (!exportLeg.allowed) blockingLegs.push('export');
+  if (!importLeg.allowed) blockingLegs.push('import');
+
+  return {
+    allowed: blockingLegs.length === 0,
+    hsCode: codeToCheck,
+    blockingLeg: blockingLegs[0] || null,
+    blockingLegs,
+    legs: {
+      export: exportLeg,
+      import: importLeg
+    }
+  };
+}
+
+module.exports = {
+  findLaneJurisdictions,
+  mapCodeToSchedule,
+  checkTradeLane
+};
@@ -0,0 +1,127 @@
+// The report lists at most this many issues per document; the counts cover them all
+const MAX_REPORTED_ISSUES = 500;
+
+const ISSUE_SEVERITIES = {
+  malformed_code: 'error',
+  conflicting_duplicate: 'error',
+  unknown_policy: 'error',
+  empty_description: 'error',
+  code_not_in_source: 'error',
+  description_not_in_source: 'warning'
+};
+
+const normalizeText = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+function createIssue(type, hsCode, message, details = {}) {
+  return { type, severity: ISSUE_SEVERITIES[type], hsCode, message, ...details };
+}
+
+// Codes must be digits of a length the jurisdiction's tariff uses
+function checkCode(hsCode, jurisdiction) {
+  if (!/^\d+$/.test(hsCode)) {
+    return createIssue('malformed_code', hsCode, `${jurisdiction.codeLabel} code ${hsCode} is not numeric`);
+  }
+  if (!jurisdiction.tableCodePattern.test(hsCode)) {
+    return createIssue('malformed_code', hsCode, `${jurisdiction.codeLabel} code ${hsCode} has ${hsCode.length} digits, which is not a valid length for ${jurisdiction.name}`);
+  }
+  return null;
+}
+
+// Issues with the codes themselves, which need no source text: used for documents and for the merged database
+function checkEntries(hsCodesData, jurisdiction) {
+  const policies = new Set(jurisdiction.policies.map(policy => policy.toLowerCase()));
+  const issues = [];
+
+  Object.entries(hsCodesData).forEach(([hsCode, entry]) => {
+    const codeIssue = checkCode(hsCode, jurisdiction);
+    if (codeIssue) issues.push(codeIssue);
+
+    if (!policies.has(normalizeText(entry.policy))) {
+      issues.push(createIssue('unknown_policy', hsCode, `Policy "${entry.policy}" is not one of ${jurisdiction.policies.join(', ')}`, { policy: entry.policy }));
+    }
+    if (!normalizeText(entry.description)) {
+      issues.push(createIssue('empty_description', hsCode, 'The description is empty'));
+    }
+  });
+
+  return issues;
+}
+
+// AI-extracted entries should be copied from the document; a code or description missing from it was probably invented.
+// Codes are compared with the dots and spaces of printed codes (8471.30.10) removed
+function checkAgainstSource(hsCodesData, text) {
+  const sourceCodes = text.replace(/(\d)[.\s](?=\d)/g, '$1');
+  const sourceText = normalizeText(text);
+  const issues = [];
+
+  Object.entries(hsCodesData).forEach(([hsCode, entry]) => {
+    if (!sourceCodes.includes(hsCode.replace(/[.\s]/g, ''))) {
+      issues.push(createIssue('code_not_in_source', hsCode, `${hsCode} does not appear in the source document`));
+    } else if (normalizeText(entry.description) && !sourceText.includes(normalizeText(entry.description))) {
+      issues.push(createIssue('description_not_in_source', hsCode, 'The description does not appear verbatim in the source document', { description: entry.description }));
+    }
+  });
+
+  return issues;
+}
+
+function summarizeIssues(issues) {
+  const byType = {};
+  issues.forEach(issue => { byType[issue.type] = (byType[issue.type] || 0) + 1; });
+
+  return {
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    byType
+  };
+}
+
+// Validate one document's extraction ({ hsCodesData, duplicates } from any extractor) after a build or upload,
+// so malformed rows and invented AI entries are flagged before anyone relies on them
+function validateExtraction(extraction, { text, method, jurisdiction }) {
+  const issues = checkEntries(extraction.hsCodesData, jurisdiction);
+
+  // The same code extracted twice with different policies: only the last survives, and it may be the wrong one
+  (extraction.duplicates || [])
+    .filter(duplicate => normalizeText(duplicate.previousPolicy) !== normalizeText(duplicate.policy))
+    .forEach(duplicate => {
+      issues.push(createIssue('conflicting_duplicate', duplicate.hsCode,
+        `${duplicate.hsCode} was extracted as both ${duplicate.previousPolicy} and ${duplicate.policy}; ${duplicate.policy} was kept`,
+        { policies: [duplicate.previousPolicy, duplicate.policy] }));
+    });
+
+  const aiEntries = Object.fromEntries(Object.entries(extraction.hsCodesData)
+    .filter(([, entry]) => (entry.provenance ? entry.provenance.method === 'ai' : method === 'ai')));
+  issues.push(...checkAgainstSource(aiEntries, text));
+
+  return {
+    method,
+    validatedAt: new Date().toISOString(),
+    codesCount: Object.keys(extraction.hsCodesData).length,
+    ...summarizeIssues(issues),
+    issuesCount: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES)
+  };
+}
+
+// Checks on a database's merged codes, cached per hsCodesData object
+const databaseValidationCache = new WeakMap();
+
+function validateDatabaseCodes(hsCodesData, jurisdiction) {
+  if (!databaseValidationCache.has(hsCodesData)) {
+    const issues = checkEntries(hsCodesData, jurisdiction);
+    databaseValidationCache.set(hsCodesData, {
+      codesCount: Object.keys(hsCodesData).length,
+      ...summarizeIssues(issues),
+      issuesCount: issues.length,
+      issues
+    });
+  }
+  return databaseValidationCache.get(hsCodesData);
+}
+
+module.exports = {
+  ISSUE_SEVERITIES,
+  validateExtraction,
+  validateDatabaseCodes
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+// Below this many chunks an exact scan is fast enough and always precise
+const EXACT_SEARCH_THRESHOLD = parseInt(process.env.VECTOR_INDEX_MIN_CHUNKS, 10) || 2000;
+
+// Clusters probed per query; more probes trade speed for recall
+const DEFAULT_NPROBE = parseInt(process.env.VECTOR_INDEX_NPROBE, 10) || 8;
+
+const KMEANS_ITERATIONS = 10;
+
+// k-means is trained on at most this many vectors per cluster, then every chunk is assigned
+const TRAINING_SAMPLES_PER_CLUSTER = 40;
+
+const INDEX_VERSION = 1;
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+
+  const normalized = new Float32Array(vector.length);
+  if (norm === 0) return normalized;
+  for (let i = 0; i < vector.length; i++) normalized[i] = vector[i] / norm;
+  return normalized;
+}
+
+function dot(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += a[i] * b[i];
+  return total;
+}
+
+// Cosine of a unit query against a raw vector, without allocating a normalised copy
+function cosineToUnit(unitQuery, vector) {
+  let product = 0;
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    product += unitQuery[i] * vector[i];
+    norm += vector[i] * vector[i];
+  }
+  return norm === 0 ? 0 : product / Math.sqrt(norm);
+}
+
+// Identifies the exact set of chunks an index was built from
+function chunkSignature(chunks) {
+  return crypto.createHash('sha1').update(chunks.map(chunk => chunk.id).join('\n')).digest('hex');
+}
+
+function nearestCentroid(vector, centroids) {
+  let best = 0;
+  let bestScore = -Infinity;
+  centroids.forEach((centroid, index) => {
+    const score = dot(vector, centroid);
+    if (score > bestScore) {
+      bestScore = score;
+      best = index;
+    }
+  });
+  return best;
+}
+
+// Spherical k-means over unit vectors, seeded with evenly spaced samples so builds are reproducible
+function trainCentroids(vectors, clusterCount) {
+  const step = vectors.length / clusterCount;
+  let centroids = Array.from({ length: clusterCount }, (_, index) => vectors[Math.floor(index * step)]);
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    const sums = centroids.map(centroid => new Float64Array(centroid.length));
+    const counts = new Array(clusterCount).fill(0);
+
+    vectors.forEach(vector => {
+      const cluster = nearestCentroid(vector, centroids);
+      counts[cluster]++;
+      for (let i = 0; i < vector.length; i++) sums[cluster][i] += vector[i];
+    });
+
+    // An emptied cluster keeps its previous centroid rather than collapsing to zero
+    centroids = centroids.map((centroid, index) => (counts[index] > 0 ? normalize(sums[index]) : centroid));
+  }
+
+  return centroids;
+}
+
+function needsVectorIndex(chunks) {
+  return chunks.length >= EXACT_SEARCH_THRESHOLD;
+}
+
+// Build an IVF index: chunks are partitioned by nearest centroid and a query only scans the closest partitions
+function buildVectorIndex(chunks) {
+  if (!needsVectorIndex(chunks)) {
+    return null;
+  }
+
+  const vectors = chunks.map(chunk => normalize(chunk.embedding));
+  const clusterCount = Math.max(1, Math.round(Math.sqrt(chunks.length)));
+
+  const sampleSize = Math.min(vectors.length, clusterCount * TRAINING_SAMPLES_PER_CLUSTER);
+  const sampleStep = vectors.length / sampleSize;
+  const sample = Array.from({ length: sampleSize }, (_, index) => vectors[Math.floor(index * sampleStep)]);
+
+  const centroids = trainCentroids(sample, clusterCount);
+  const lists = centroids.map(() => []);
+  vectors.forEach((vector, index) => {
+    lists[nearestCentroid(vector, centroids)].push(chunks[index].id);
+  });
+
+  return {
+    version: INDEX_VERSION,
+    type: 'ivf',
+    dimensions: vectors[0].length,
+    chunkSignature: chunkSignature(chunks),
+    chunkCount: chunks.length,
+    centroids: centroids.map(centroid => Array.from(centroid)),
+    lists
+  };
+}
+
+// A stored index is only usable if it was built from exactly the current chunks
+function isVectorIndexCurrent(index, chunks) {
+  return Boolean(index) &&
+    index.version === INDEX_VERSION &&
+    index.chunkSignature === chunkSignature(chunks);
+}
+
+// Chunk lookup and unit centroids are derived once per loaded index
+const searchStateCache = new WeakMap();
+
+function getSearchState(index, chunks) {
+  if (!searchStateCache.has(index)) {
+    searchStateCache.set(index, {
+      // Ids can come back from storage as strings even if the index was built with numbers
+      chunksById: new Map(chunks.map(chunk => [String(chunk.id), chunk])),
+      centroids: index.centroids.map(centroid => Float32Array.from(centroid))
+    });
+  }
+  return searchStateCache.get(index);
+}
+
+// Chunks whose text and vectors are read per search, a batch at a time, when the database holds only their ids
+const CHUNK_FETCH_BATCH_SIZE = 256;
+
+// Candidates with their vectors, scored as they are read so an exact scan never holds every vector at once
+function scoreCandidates(candidates, query, minSimilarity, chunkStore) {
+  const scored = [];
+  const score = chunk => {
+    const similarity = cosineToUnit(query, chunk.embedding);
+    if (similarity >= minSimilarity) scored.push({ chunk, similarity });
+  };
+
+  const loaded = chunkStore ? candidates.filter(chunk => chunk.embedding) : candidates;
+  loaded.forEach(score);
+
+  if (chunkStore) {
+    const pendingIds = candidates.filter(chunk => !chunk.embedding).map(chunk => chunk.id);
+    for (let i = 0; i < pendingIds.length; i += CHUNK_FETCH_BATCH_SIZE) {
+      chunkStore.get(pendingIds.slice(i, i + CHUNK_FETCH_BATCH_SIZE)).forEach(score);
+    }
+  }
+
+  return scored;
+}
+
+// Top-k chunks by cosine similarity, through the index when there is a current one, otherwise by exact scan.
+// options.chunkStore reads the text and vectors of chunks the database only holds by id
+function searchChunks(queryEmbedding, chunks, index, options = {}) {
+  const { topK = 5, minSimilarity = -1, nprobe = DEFAULT_NPROBE, chunkStore = null } = options;
+  const query = normalize(queryEmbedding);
+  let candidates = chunks;
+  let method = 'exact';
+
+  // The full signature is checked at load time; here a count check guards against a stale index
+  if (index && needsVectorIndex(chunks) && index.chunkCount === chunks.length) {
+    const { chunksById, centroids } = getSearchState(index, chunks);
+    const probes = centroids
+      .map((centroid, cluster) => ({ cluster, score: dot(query, centroid) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, nprobe);
+
+    candidates = probes.flatMap(({ cluster }) => index.lists[cluster].map(id => chunksById.get(String(id)))).filter(Boolean);
+    method = 'ivf';
+  }
+
+  const results = scoreCandidates(candidates, query, minSimilarity, chunkStore)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, topK);
+
+  return { method, results };
+}
+
+module.exports = {
+  EXACT_SEARCH_THRESHOLD,
+  needsVectorIndex,
+  buildVectorIndex,
+  isVectorIndexCurrent,
+  searchChunks
+};
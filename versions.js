@@ -0,0 +1,142 @@
+const { getStore } = require('./storage');
+
+// Accepts ISO dates ("2024-03-31") or timestamps; returns null for anything Date cannot parse
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Policy counts for the version listing, so callers can spot a shift without diffing
+function summarizeCodes(hsCodesData) {
+  const policies = {};
+  Object.values(hsCodesData).forEach(entry => {
+    policies[entry.policy] = (policies[entry.policy] || 0) + 1;
+  });
+  return { hsCodesCount: Object.keys(hsCodesData).length, policies };
+}
+
+// Public view of a version, without its code data
+function describeVersion(version) {
+  const { hsCodesData, itemToHsMap, ...metadata } = version;
+  return metadata;
+}
+
+function listVersions(jurisdiction) {
+  return getStore().listVersions(jurisdiction);
+}
+
+// Id of each jurisdiction's latest version, read from the store once and kept current by recordVersion
+const latestVersionIds = new Map();
+
+function latestVersionId(jurisdiction) {
+  if (!latestVersionIds.has(jurisdiction.id)) {
+    const versions = listVersions(jurisdiction);
+    latestVersionIds.set(jurisdiction.id, versions.length > 0 ? versions[versions.length - 1].id : null);
+  }
+  return latestVersionIds.get(jurisdiction.id);
+}
+
+// A version by id, with its code data, or null
+function loadVersion(jurisdiction, versionId) {
+  return getStore().loadVersion(jurisdiction, String(versionId));
+}
+
+// Snapshot the codes of a freshly saved database as the next numbered version.
+// effectiveDate is when the regulation took effect; it defaults to the build time
+function recordVersion(jurisdiction, database, { name, effectiveDate, reason } = {}) {
+  const existing = listVersions(jurisdiction);
+  const id = String(existing.reduce((max, version) => Math.max(max, parseInt(version.id, 10)), 0) + 1);
+  const createdAt = new Date().toISOString();
+  const hsCodesData = database.hsCodesData || {};
+
+  const version = {
+    id,
+    name: name || `${jurisdiction.id} v${id}`,
+    createdAt,
+    effectiveDate: effectiveDate ? parseDate(effectiveDate).toISOString() : createdAt,
+    reason: reason || null,
+    ...summarizeCodes(hsCodesData),
+    hsCodesData,
+    itemToHsMap: database.itemToHsMap || {}
+  };
+
+  getStore().saveVersion(jurisdiction, version);
+  latestVersionIds.set(jurisdiction.id, id);
+  console.log(`[${jurisdiction.id}] Recorded version ${version.id} (${version.name}) with ${version.hsCodesCount} codes.`);
+  return describeVersion(version);
+}
+
+// The version in effect on a date: the latest one whose effective date is on or before it
+function findVersionAsOf(jurisdiction, date) {
+  const inEffect = listVersions(jurisdiction)
+    .filter(version => new Date(version.effectiveDate) <= date)
+    .sort((a, b) => new Date(a.effectiveDate) - new Date(b.effectiveDate) || parseInt(a.id, 10) - parseInt(b.id, 10))
+    .pop();
+
+  return inEffect ? loadVersion(jurisdiction, inEffect.id) : null;
+}
+
+// Codes added and removed between two versions, and codes whose policy, condition or description changed
+function diffVersions(fromVersion, toVersion) {
+  const fromCodes = fromVersion.hsCodesData;
+  const toCodes = toVersion.hsCodesData;
+  const added = [];
+  const removed = [];
+  const policyChanges = [];
+  const conditionChanges = [];
+  const descriptionChanges = [];
+
+  Object.entries(toCodes).forEach(([hsCode, entry]) => {
+    const previous = fromCodes[hsCode];
+    if (!previous) {
+      added.push({ hsCode, description: entry.description, policy: entry.policy });
+      return;
+    }
+
+    if (previous.policy !== entry.policy) {
+      policyChanges.push({ hsCode, description: entry.description, from: previous.policy, to: entry.policy });
+    }
+    if ((previous.policyCondition || null) !== (entry.policyCondition || null)) {
+      conditionChanges.push({ hsCode, description: entry.description, from: previous.policyCondition || null, to: entry.policyCondition || null });
+    }
+    if (previous.description !== entry.description) {
+      descriptionChanges.push({ hsCode, from: previous.description, to: entry.description });
+    }
+  });
+
+  Object.entries(fromCodes).forEach(([hsCode, entry]) => {
+    if (!toCodes[hsCode]) {
+      removed.push({ hsCode, description: entry.description, policy: entry.policy });
+    }
+  });
+
+  const byCode = (a, b) => a.hsCode.localeCompare(b.hsCode);
+  return {
+    from: describeVersion(fromVersion),
+    to: describeVersion(toVersion),
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      policyChanges: policyChanges.length,
+      conditionChanges: conditionChanges.length,
+      descriptionChanges: descriptionChanges.length
+    },
+    added: added.sort(byCode),
+    removed: removed.sort(byCode),
+    policyChanges: policyChanges.sort(byCode),
+    conditionChanges: conditionChanges.sort(byCode),
+    descriptionChanges: descriptionChanges.sort(byCode)
+  };
+}
+
+module.exports = {
+  parseDate,
+  describeVersion,
+  listVersions,
+  latestVersionId,
+  loadVersion,
+  recordVersion,
+  findVersionAsOf,
+  diffVersions
+};
@@ -0,0 +1,309 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { listVersions, loadVersion, diffVersions } = require('./versions');
+const { onShutdown } = require('./shutdown');
+
+// Change types a subscription can ask for; policy and description changes are the default
+const WEBHOOK_EVENTS = ['policy_changed', 'description_changed', 'condition_changed', 'code_added', 'code_removed'];
+const DEFAULT_EVENTS = ['policy_changed', 'description_changed'];
+
+// Delivery attempts per notification, spaced by exponential backoff from WEBHOOK_RETRY_BASE_MS
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// The delivery log keeps this many recent deliveries across all webhooks
+const MAX_RETAINED_DELIVERIES = parseInt(process.env.MAX_RETAINED_DELIVERIES, 10) || 500;
+
+// Changes to the delivery log are written back to the store at most this often, and on shutdown
+const DELIVERIES_FLUSH_INTERVAL_MS = parseInt(process.env.WEBHOOK_DELIVERIES_FLUSH_MS, 10) || 30000;
+
+// Deliveries in creation order, loaded from the store on first use so pending retries survive a restart
+let deliveries = null;
+let dirty = false;
+
+// Subscription fields safe to return from the API; the secret is only shown when the webhook is created
+function describeWebhook(webhook) {
+  const { secret, ...visible } = webhook;
+  return visible;
+}
+
+function listWebhooks() {
+  return getStore().listWebhooks();
+}
+
+function getWebhook(id) {
+  return listWebhooks().find(webhook => webhook.id === id) || null;
+}
+
+// Validate and store a subscription; throws with a message suitable for a 400 response
+function createWebhook({ url, jurisdiction, codePrefixes, chapters, events, secret, description }) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook url: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error('Webhook url must use http or https');
+  }
+
+  const toList = value => (value === undefined || value === null ? [] : [].concat(value).map(item => String(item).trim()).filter(Boolean));
+  const prefixes = toList(codePrefixes);
+  const chapterList = toList(chapters).map(chapter => chapter.padStart(2, '0'));
+  const eventList = events === undefined ? DEFAULT_EVENTS : toList(events);
+
+  const invalidPrefixes = prefixes.filter(prefix => !/^\d+$/.test(prefix));
+  if (invalidPrefixes.length > 0) {
+    throw new Error(`Code prefixes must be digits: ${invalidPrefixes.join(', ')}`);
+  }
+  const invalidChapters = chapterList.filter(chapter => !/^\d{2}$/.test(chapter));
+  if (invalidChapters.length > 0) {
+    throw new Error(`Chapters must be one or two digits: ${invalidChapters.join(', ')}`);
+  }
+  const unknownEvents = eventList.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknownEvents.length > 0 || eventList.length === 0) {
+    throw new Error(`Unknown webhook events: ${unknownEvents.join(', ') || '(none given)'}. Supported events: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    url: parsedUrl.toString(),
+    description: description || null,
+    jurisdiction: jurisdiction || null,
+    codePrefixes: prefixes,
+    chapters: chapterList,
+    events: eventList,
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  getStore().saveWebhook(webhook);
+  return webhook;
+}
+
+function deleteWebhook(id) {
+  return getStore().deleteWebhook(id);
+}
+
+// A code matches when the subscription has no filters, or it starts with one of the prefixes or chapters
+function codeMatches(webhook, hsCode) {
+  const filters = [...webhook.codePrefixes, ...webhook.chapters];
+  return filters.length === 0 || filters.some(prefix => hsCode.startsWith(prefix));
+}
+
+// The changes in a version diff that a subscription asked for, flattened into one list
+function changesForWebhook(webhook, diff) {
+  const byEvent = {
+    policy_changed: diff.policyChanges,
+    description_changed: diff.descriptionChanges,
+    condition_changed: diff.conditionChanges,
+    code_added: diff.added,
+    code_removed: diff.removed
+  };
+
+  return webhook.events.flatMap(event =>
+    byEvent[event]
+      .filter(change => codeMatches(webhook, change.hsCode))
+      .map(change => ({ event, ...change }))
+  );
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", so a captured payload cannot be replayed with a new timestamp
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function describeDelivery(delivery) {
+  const { body, ...visible } = delivery;
+  return { ...visible, payload: JSON.parse(body) };
+}
+
+function loadDeliveries() {
+  if (!deliveries) {
+    deliveries = new Map(getStore().listWebhookDeliveries().map(delivery => [delivery.id, delivery]));
+    setInterval(flushDeliveries, DELIVERIES_FLUSH_INTERVAL_MS).unref();
+    onShutdown(flushDeliveries);
+
+    // Retries that were waiting when the process stopped go out when they were due, or now if that has passed
+    [...deliveries.values()]
+      .filter(delivery => delivery.status === 'pending')
+      .forEach(delivery => scheduleAttempt(delivery, Date.parse(delivery.nextAttemptAt) - Date.now()));
+  }
+  return deliveries;
+}
+
+function flushDeliveries() {
+  if (!deliveries || !dirty) return;
+  dirty = false;
+
+  try {
+    getStore().replaceWebhookDeliveries([...deliveries.values()]);
+  } catch (error) {
+    dirty = true;
+    console.error('Error saving webhook deliveries:', error);
+  }
+}
+
+function pruneDeliveries() {
+  const log = loadDeliveries();
+  const finished = [...log.values()].filter(delivery => delivery.status !== 'pending');
+  finished
+    .slice(0, Math.max(0, log.size - MAX_RETAINED_DELIVERIES))
+    .forEach(delivery => log.delete(delivery.id));
+}
+
+// Pending retries should not keep the process alive on shutdown
+function scheduleAttempt(delivery, delay) {
+  setTimeout(() => attemptDelivery(delivery), Math.max(0, delay || 0)).unref();
+}
+
+// Client errors other than timeouts and rate limiting will not succeed on a retry
+function shouldRetry(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// POST one attempt and schedule the next on a retryable failure; the log records every attempt
+async function attemptDelivery(delivery) {
+  const webhook = getWebhook(delivery.webhookId);
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.error = 'Webhook was deleted before delivery';
+    dirty = true;
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = { attemptedAt: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.post(webhook.url, delivery.body, {
+      timeout: DELIVERY_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.body)}`
+      },
+      // Every status is recorded rather than thrown
+      validateStatus: () => true
+    });
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  dirty = true;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+    delivery.error = null;
+    return;
+  }
+
+  delivery.error = attempt.error;
+  if (delivery.attempts.length >= MAX_DELIVERY_ATTEMPTS || !shouldRetry(attempt.statusCode)) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.error(`Webhook delivery ${delivery.id} to ${webhook.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    return;
+  }
+
+  const delay = RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  scheduleAttempt(delivery, delay);
+}
+
+// The body is serialised once so every retry sends, and signs, identical bytes
+function queueDelivery(webhook, payload) {
+  const id = crypto.randomUUID();
+  const delivery = {
+    id,
+    webhookId: webhook.id,
+    jurisdiction: payload.jurisdiction,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    error: null,
+    attempts: [],
+    body: JSON.stringify({ deliveryId: id, ...payload })
+  };
+
+  loadDeliveries().set(delivery.id, delivery);
+  dirty = true;
+  pruneDeliveries();
+  setImmediate(() => attemptDelivery(delivery));
+  return delivery;
+}
+
+// Diff a new version against the one before it and notify each subscription whose codes changed
+function notifyVersionChanges(jurisdiction, versionId) {
+  const versions = listVersions(jurisdiction);
+  const position = versions.findIndex(version => version.id === String(versionId));
+  if (position <= 0) {
+    return [];
+  }
+
+  const subscribers = listWebhooks().filter(webhook => !webhook.jurisdiction || webhook.jurisdiction === jurisdiction.id);
+  if (subscribers.length === 0) {
+    return [];
+  }
+
+  const diff = diffVersions(loadVersion(jurisdiction, versions[position - 1].id), loadVersion(jurisdiction, versionId));
+
+  return subscribers
+    .map(webhook => {
+      const changes = changesForWebhook(webhook, diff);
+      if (changes.length === 0) {
+        return null;
+      }
+
+      return queueDelivery(webhook, {
+        event: 'codes.changed',
+        jurisdiction: jurisdiction.id,
+        fromVersion: diff.from,
+        toVersion: diff.to,
+        changes,
+        sentAt: new Date().toISOString()
+      });
+    })
+    .filter(Boolean)
+    .map(describeDelivery);
+}
+
+// Load the delivery log at startup so retries pending at the last shutdown resume without waiting for a new change
+function resumePendingDeliveries() {
+  return [...loadDeliveries().values()].filter(delivery => delivery.status === 'pending').length;
+}
+
+// Most recent deliveries first, optionally for one webhook
+function listDeliveries(webhookId) {
+  return [...loadDeliveries().values()]
+    .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+    .reverse()
+    .map(describeDelivery);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  describeWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  deleteWebhook,
+  signPayload,
+  notifyVersionChanges,
+  resumePendingDeliveries,
+  listDeliveries,
+  flushDeliveries
+};
@@ -1,23 +1,50 @@
 // worker.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const workerpool = require('workerpool');
-const dotenv = require('dotenv');
-const path = require('path');
+const { generateText, embedText, embedTexts } = require('./providers');
+const { reportModelCallsTo } = require('./request-context');
 
-// Load environment variables from .env file in the same directory
-dotenv.config({ path: path.join(__dirname, '.env') });
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const embeddingModel = genAI.getGenerativeModel({ model: "embedding-001" });
+// Model calls are counted in the main process, against the API key of the request that queued the task
+reportModelCallsTo(modelCall => workerpool.workerEmit({ modelCall }));
 
 async function generateEmbedding(chunk) {
-  const embedResult = await embeddingModel.embedContent({
-    content: { parts: [{ text: chunk }] },
-  });
-  return embedResult.embedding.values;
+  return embedText(chunk, { purpose: 'chunk-embedding' });
+}
+
+async function generateEmbeddings(texts) {
+  return embedTexts(texts, { purpose: 'description-embedding' });
+}
+
+// Ask the configured model for the HS code table entries in a chunk of regulation text
+async function extractHSCodesWithAI(chunk, direction) {
+  const prompt = `
+    Extract all HTS/HS codes with their descriptions, ${direction} policies and policy conditions from the following text.
+    Format the output as a JSON array of objects with fields: 
+    "hsCode", "description", "policy" and "policyCondition" (empty string if none).
+    
+    Text:
+    ${chunk}
+  `;
+  
+  const responseText = await generateText(prompt, 4096, { purpose: 'code-extraction' });
+  
+  // Try to extract JSON
+  try {
+    const startIdx = responseText.indexOf('[');
+    const endIdx = responseText.lastIndexOf(']') + 1;
+    
+    if (startIdx !== -1 && endIdx > startIdx) {
+      return JSON.parse(responseText.substring(startIdx, endIdx));
+    }
+  } catch (error) {
+    console.error("Error parsing AI-generated JSON:", error);
+  }
+  
+  return [];
 }
 
-// Expose the function to the worker pool
+// Expose the functions to the worker pool
 workerpool.worker({
-  generateEmbedding: generateEmbedding
-});
\ No newline at end of file
+  generateEmbedding: generateEmbedding,
+  generateEmbeddings: generateEmbeddings,
+  extractHSCodesWithAI: extractHSCodesWithAI
+});